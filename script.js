@@ -4,6 +4,8 @@
  */
 
 // ---------- State & Storage ----------
+// Synchronous localStorage access: session keys, theme, and the storage
+// fallback when IndexedDB is unavailable
 const ls = {
   get: (k, def = null) => {
     try {
@@ -20,595 +22,4268 @@ const ls = {
 };
 
 const defaultOptions = ["Option A", "Option B", "Option C"];
+const defaultSettings = {
+  ballotType: "single", // "single" | "ranked" | "approval"
+  maxSelections: 0, // approval ballots: most options a voter may tick, 0 = any number
+  votingOpen: true,
+  showResultsToUsers: true,
+  requireFaceCheck: true,
+  opensAt: null, // timestamp (ms) when voting opens automatically
+  closesAt: null, // timestamp (ms) when voting closes automatically
+  reauthMinutes: 0, // voters who signed in longer ago confirm it's them before voting, 0 = off
+  shuffleOptions: false, // show each voter the options in their own order, see ballotOrder()
+  allowVoteChange: false, // voters may vote again until voting closes; only their latest ballot counts
+};
 const defaults = {
-  users: {},
-  votes: {},
-  options: [],
-  userVotes: {}, // { username: "Option A" }
-  settings: {
-    votingOpen: true,
-    showResultsToUsers: true,
-    allowMultipleVotes: false,
-    requireFaceCheck: true, // New setting
-  },
-  biometrics: {}, // { username: credentialId }
+  users: {}, // { username: { password: PasswordHash, createdAt } }
+  admins: {}, // { username: { password: PasswordHash, createdAt } }
+  elections: {}, // { electionId: Election }
+  biometrics: {}, // { username: [{ id, publicKey, alg, signCount, userHandle, createdAt, lastUsedAt }] }
   faceEnrollments: {}, // { username: true }
   faceDescriptors: {}, // { username: Float32Array[] }
+  faceAttempts: {}, // { username: { failures, lockedUntil } }
+  loginAttempts: {}, // { "user:name" | "admin:name" | "device": LoginAttempts }, see loginBlock()
+  authStats: {}, // { password | face | biometrics: successful logins }, never per user
+  roll: {}, // { identifier: RollEntry }, see rollEntries()
+  audit: [], // append-only, hash-chained AuditEntry list, see audit()
+  config: {
+    faceMatchThreshold: 0.55, // max euclidean distance accepted as the same face
+    faceMaxAttempts: 3, // consecutive mismatches before a lockout
+    faceLockoutMinutes: 5,
+    loginMaxAttempts: 5, // failed sign-ins in a row before an account is locked
+    loginLockoutMinutes: 15,
+    requireLiveness: true, // blink / head-turn challenge before a face is accepted
+    modelSources: ["local", "cdn"], // face model sources, tried in order
+    serverUrl: "", // shared VoteX server; empty keeps everything in this browser
+  },
+};
+
+// Persisted state keys and their storage names
+const STORE_KEYS = {
+  users: "va_users",
+  admins: "va_admins",
+  elections: "va_elections",
+  biometrics: "va_biometrics",
+  faceEnrollments: "va_faceEnrollments",
+  faceDescriptors: "va_faceDescriptors",
+  faceAttempts: "va_faceAttempts",
+  loginAttempts: "va_loginAttempts",
+  authStats: "va_authStats",
+  roll: "va_roll",
+  audit: "va_audit",
+  config: "va_config",
 };
+// Keys that grow with every voter or ballot live in IndexedDB when available
+const LARGE_KEYS = ["elections", "faceDescriptors", "audit"];
 
+// Filled from storage by loadState() before anything renders
 const state = {
-  users: ls.get("va_users", ls.get("users", defaults.users)),
-  votes: ls.get("va_votes", ls.get("votes", defaults.votes)),
-  options: ls.get("va_options", defaults.options),
-  userVotes: ls.get("va_userVotes", defaults.userVotes),
-  settings: ls.get("va_settings", defaults.settings),
-  user: ls.rawGet("va_userLoggedIn") || ls.rawGet("userLoggedIn"),
-  admin: ls.rawGet("va_adminLoggedIn") === "true",
-  biometrics: ls.get("va_biometrics", defaults.biometrics),
-  faceEnrollments: ls.get("va_faceEnrollments", defaults.faceEnrollments),
-  faceDescriptors: ls.get("va_faceDescriptors", defaults.faceDescriptors),
+  ...JSON.parse(JSON.stringify(defaults)),
+  electionId: ls.rawGet("va_electionId"),
+  user: null, // signed-in voter, from a valid session; see readSession()
+  admin: null, // username of the signed-in admin, likewise
   sortByVotes: false,
   modelsLoaded: false,
+  modelSource: null, // label of the source the face models came from
+  ballotDrafts: {}, // { electionId: [ranked order or ticked options, not yet cast] }
+  serverHasAdmins: false, // server mode: whether the server has an admin yet
+  serverAdmins: {}, // server mode: { username: { createdAt } }, loaded once signed in
+  serverStats: { registered: 0, authStats: {} }, // server mode: dashboard counts
+  serverRoll: {}, // server mode: the voter roll, loaded once signed in
+  serverUsers: {}, // server mode: { username: account status }, see voterRows()
+  serverAudit: [], // server mode: the server's audit log
+  serverLockouts: {}, // server mode: locked sign-ins, keyed like loginAttempts
+  serverResults: {}, // server mode, voters: { electionId: { total, tally, rankings } } from /results
+};
+
+const idb = {
+  db: null,
+  open() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open("votex", 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("kv");
+      req.onsuccess = () => resolve((this.db = req.result));
+      req.onerror = () => reject(req.error);
+    });
+  },
+  run(mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction("kv", mode);
+      const req = fn(tx.objectStore("kv"));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+  get(k) {
+    return this.run("readonly", (s) => s.get(k));
+  },
+  set(k, v) {
+    return this.run("readwrite", (s) => s.put(v, k));
+  },
+};
+
+/**
+ * Reads and writes persisted state one key at a time. Large keys go to
+ * IndexedDB when it opens, everything else (and everything, as a fallback)
+ * to localStorage.
+ */
+const store = {
+  useIdb: false,
+  async init() {
+    if (!window.indexedDB) return;
+    try {
+      await idb.open();
+      this.useIdb = true;
+    } catch (err) {
+      console.warn("IndexedDB unavailable, falling back to localStorage:", err);
+    }
+  },
+  inIdb(key) {
+    return this.useIdb && LARGE_KEYS.includes(key);
+  },
+  async get(key) {
+    if (!this.inIdb(key)) return ls.get(STORE_KEYS[key]);
+    const value = await idb.get(STORE_KEYS[key]);
+    return value === undefined ? null : value;
+  },
+  set(key, value) {
+    if (!this.inIdb(key)) return Promise.resolve(ls.set(STORE_KEYS[key], value));
+    return idb.set(STORE_KEYS[key], value);
+  },
 };
 
-// Rehydrate face descriptors into Float32Array
-Object.keys(state.faceDescriptors).forEach(user => {
-  state.faceDescriptors[user] = new Float32Array(Object.values(state.faceDescriptors[user]));
-});
+/**
+ * Writes only the given state keys, e.g. persist("elections") after a vote,
+ * instead of rewriting every key (and every face descriptor) each time.
+ */
+function persist(...keys) {
+  // With a shared server the elections live there; the local copy stays as it was
+  if (useServer()) keys = keys.filter((key) => key !== "elections");
+  return Promise.all(keys.map((key) => store.set(key, state[key])))
+    .then(() => {
+      if (keys.includes("elections")) announceElectionsChanged();
+    })
+    .catch((err) => {
+      console.error("Failed to save " + keys.join(", "), err);
+      toast("Could not save changes.", "error");
+    });
+}
+
+// ---------- Schema migrations ----------
+const SCHEMA_VERSION = 8;
+
+/**
+ * Ordered upgrade steps. Each runs once, against state freshly loaded from
+ * storage, when the stored schema version is below its own; it returns
+ * the state keys it changed so only those are written back.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    describe: "Move unprefixed keys from the first release to va_*",
+    up() {
+      const legacyUser = ls.rawGet("userLoggedIn");
+      if (legacyUser && !state.user) {
+        state.user = legacyUser;
+        ls.rawSet("va_userLoggedIn", legacyUser);
+      }
+      ls.del("userLoggedIn");
+      const legacyUsers = ls.get("users");
+      ls.del("users");
+      if (!legacyUsers || Object.keys(state.users).length) return [];
+      state.users = legacyUsers;
+      return ["users"];
+    },
+  },
+  {
+    version: 2,
+    describe: "Turn the single global ballot into the first election",
+    up() {
+      const legacyKeys = ["va_votes", "votes", "va_options", "va_userVotes", "va_settings"];
+      const legacyVotes = ls.get("va_votes", ls.get("votes", {}));
+      let options = ls.get("va_options", []);
+      if (!Object.keys(state.elections).length) {
+        if (!options || !options.length) options = Object.keys(legacyVotes || {});
+        createElection({
+          title: "General Election",
+          options,
+          votes: legacyVotes,
+          userVotes: ls.get("va_userVotes", {}),
+          settings: ls.get("va_settings", defaultSettings),
+        });
+      }
+      legacyKeys.forEach(ls.del);
+      return ["elections"];
+    },
+  },
+  {
+    version: 3,
+    describe: "Stored ballots, participation ledger and ballot log fields on every election",
+    up() {
+      Object.values(state.elections).forEach(normalizeElection);
+      return ["elections"];
+    },
+  },
+  {
+    version: 4,
+    describe: "Move elections and face descriptors into IndexedDB",
+    up() {
+      if (!store.useIdb) return [];
+      LARGE_KEYS.forEach((key) => ls.del(STORE_KEYS[key]));
+      return LARGE_KEYS;
+    },
+  },
+  {
+    version: 5,
+    describe: "Ballot activity counts on every election",
+    up() {
+      Object.values(state.elections).forEach(normalizeElection);
+      return ["elections"];
+    },
+  },
+  {
+    version: 6,
+    describe: "Drop passkeys saved as a bare credential id, which can't be verified",
+    up() {
+      const legacy = Object.keys(state.biometrics).filter((name) => !Array.isArray(state.biometrics[name]));
+      legacy.forEach((name) => delete state.biometrics[name]);
+      return legacy.length ? ["biometrics"] : [];
+    },
+  },
+  {
+    version: 7,
+    describe: "Drop the bare sign-in names older builds trusted; sessions are signed now",
+    up() {
+      ls.del("va_userLoggedIn");
+      ls.del("va_adminLoggedIn");
+      return [];
+    },
+  },
+  {
+    version: 8,
+    describe: "Ballot options become records with ids; existing options keep their name as the id",
+    up() {
+      Object.values(state.elections).forEach(normalizeElection);
+      return ["elections"];
+    },
+  },
+];
 
-// Initialize options and votes
-(function initOptionsVotes() {
-  if (!state.options || !state.options.length) {
-    const legacyOpts = Object.keys(state.votes || {});
-    state.options = legacyOpts.length ? legacyOpts : defaultOptions.slice();
+async function loadState() {
+  await store.init();
+  for (const key of Object.keys(STORE_KEYS)) {
+    let value = await store.get(key);
+    // Not in IndexedDB yet: still where older versions kept it
+    if (value == null && store.inIdb(key)) value = ls.get(STORE_KEYS[key]);
+    if (value != null) state[key] = key === "config" ? { ...defaults.config, ...value } : value;
   }
-  state.options.forEach((opt) => {
-    if (typeof state.votes[opt] !== "number") state.votes[opt] = 0;
+
+  const from = parseInt(ls.rawGet("va_schema"), 10) || 0;
+  const changed = new Set();
+  MIGRATIONS.filter((m) => m.version > from).forEach((m) => {
+    console.log(`Migrating storage to v${m.version}: ${m.describe}`);
+    m.up().forEach((key) => changed.add(key));
   });
-  saveAll();
-})();
+  // Written straight to the store: migrations upgrade local data even when
+  // a shared server is configured, and persist() would skip the elections
+  await Promise.all([...changed].map((key) => store.set(key, state[key])));
+  if (from < SCHEMA_VERSION) ls.rawSet("va_schema", String(SCHEMA_VERSION));
 
-// Theme
-(function initTheme() {
-  const saved = ls.rawGet("va_theme") || "light";
-  document.documentElement.setAttribute("data-theme", saved);
-})();
+  // Only a valid signed session signs anyone in
+  for (const role of ["user", "admin"]) state[role] = ((await readSession(role)) || {}).sub || null;
+
+  rehydrateFaceDescriptors();
 
-function saveAll() {
-  ls.set("va_users", state.users);
-  ls.set("va_votes", state.votes);
-  ls.set("va_options", state.options);
-  ls.set("va_userVotes", state.userVotes);
-  ls.set("va_settings", state.settings);
-  ls.set("va_biometrics", state.biometrics);
-  ls.set("va_faceEnrollments", state.faceEnrollments);
-  ls.set("va_faceDescriptors", state.faceDescriptors);
-  // keep legacy votes in sync (optional)
-  ls.set("votes", state.votes);
+  if (useServer()) await connectServer();
+  else if (!Object.keys(state.elections).length) createElection({ title: "General Election" });
+  if (!currentElection() && listElections().length) setCurrentElection(listElections()[0].id);
+  applySchedules();
 }
 
-// ---------- Utils ----------
-const $ = (s) => document.querySelector(s);
-const $$ = (s) => document.querySelectorAll(s);
+// Stored descriptors come back as plain objects or arrays
+function rehydrateFaceDescriptors() {
+  Object.keys(state.faceDescriptors).forEach(user => {
+    state.faceDescriptors[user] = new Float32Array(Object.values(state.faceDescriptors[user]));
+  });
+}
 
-function toast(msg, type = "") {
-  const el = document.createElement("div");
-  el.className = "toast" + (type ? " " + type : "");
-  el.textContent = msg;
-  $("#toastWrap").appendChild(el);
-  setTimeout(() => el.remove(), 3500);
+// ---------- Server API ----------
+/**
+ * Base URL of the shared VoteX server, or null to keep everything in this
+ * browser. Set in the admin panel, or announced by server/server.js through
+ * a <meta name="votex-api"> tag on the page it serves.
+ */
+function apiBase() {
+  if (state.config.serverUrl) return state.config.serverUrl.replace(/\/+$/, "");
+  const meta = document.querySelector('meta[name="votex-api"]');
+  return meta ? meta.content.replace(/\/+$/, "") : null;
 }
 
-function percent(count, total) {
-  if (!total) return 0;
-  return Math.round((count / total) * 100);
+function useServer() {
+  return apiBase() !== null;
 }
 
 /**
- * Improved sanitization to prevent XSS.
+ * Calls the server and returns its JSON reply. `auth` picks the session
+ * token to send; failures throw an Error carrying the server's message.
  */
-function sanitize(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+async function api(method, path, body, auth) {
+  const headers = { "Content-Type": "application/json" };
+  const token = auth && ls.rawGet(SESSION_KEYS[auth]);
+  if (token) headers.Authorization = "Bearer " + token;
+  let res;
+  try {
+    res = await fetch(apiBase() + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  } catch {
+    throw new Error("Can't reach the VoteX server.");
+  }
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401 && auth) endServerSession(auth);
+  // `code` says what to do about it, e.g. "reauth": sign in again, then retry
+  if (!res.ok) throw Object.assign(new Error(data.error || `Server error (${res.status}).`), { code: data.code });
+  // Admin changes are audited on the server, so the log shown is out of date
+  if (auth === "admin" && method !== "GET" && path !== "/api/audit/clear") refreshServerAudit();
+  return data;
 }
 
-function switchView(id) {
-  $$(".view").forEach((v) => v.classList.remove("active"));
-  $(id).classList.add("active");
+// The session expired or was ended elsewhere: sign out locally as well
+function endServerSession(auth) {
+  ls.del(SESSION_KEYS[auth]);
+  if (auth === "admin" && state.admin) endAdminSession();
+  if (auth === "user" && state.user) endUserSession();
 }
 
-function setTheme(t) {
-  document.documentElement.setAttribute("data-theme", t);
-  ls.rawSet("va_theme", t);
+async function connectServer() {
+  try {
+    // Only the server can tell whether its tokens are still good; api() drops rejected ones
+    await Promise.all(
+      ["user", "admin"].filter((role) => state[role]).map((role) =>
+        api("GET", "/api/session", undefined, role).catch(() => (state[role] = null))
+      )
+    );
+    const [{ hasAdmins }] = await Promise.all([api("GET", "/api/admin/status"), pullElections()]);
+    state.serverHasAdmins = hasAdmins;
+    if (state.admin) await pullAdminData();
+  } catch (err) {
+    console.error(err);
+    state.elections = {};
+    toast(err.message, "error");
+  }
 }
 
-// ---------- Password helpers ----------
-/**
- * Improved password strength calculation.
+// Restricted elections are only listed for the voter they are open to, or an admin
+function viewerRole() {
+  return ls.rawGet(SESSION_KEYS.admin) ? "admin" : "user";
+}
+
+/*
+ * Admins get whole elections. Everyone else gets them without the voter
+ * list and ballot log, plus a `voted` flag for themselves, and fetches the
+ * counts separately where the admin shows them.
  */
-function scorePassword(pw) {
-  let score = 0;
-  if (!pw) return score;
+async function pullElections() {
+  state.elections = (await api("GET", "/api/elections", undefined, viewerRole())).elections;
+  if (!currentElection() && listElections().length) setCurrentElection(listElections()[0].id);
+  await pullResults(listElections());
+}
 
-  // Length factor (0-40 points)
-  score += Math.min(pw.length, 12) * 3.33;
+async function pullResults(elections) {
+  await Promise.all(
+    elections.filter((el) => !Array.isArray(el.log)).map(async (el) => {
+      delete state.serverResults[el.id];
+      if (!el.settings.showResultsToUsers) return;
+      state.serverResults[el.id] = await api("GET", `/api/elections/${el.id}/results`, undefined, viewerRole())
+        .catch(() => undefined);
+    })
+  );
+}
 
-  // Diversity factors (60 points)
-  if (/[a-z]/.test(pw)) score += 15;
-  if (/[A-Z]/.test(pw)) score += 15;
-  if (/\d/.test(pw)) score += 15;
-  if (/[^A-Za-z0-9]/.test(pw)) score += 15;
+// Admin and voter accounts, the voter roll and the dashboard counts from the server
+async function pullAdminData() {
+  const [{ admins }, stats, { roll }, { users }, { audit }, { lockouts }] = await Promise.all([
+    api("GET", "/api/admins", undefined, "admin"),
+    api("GET", "/api/stats", undefined, "admin"),
+    api("GET", "/api/roll", undefined, "admin"),
+    api("GET", "/api/users", undefined, "admin"),
+    api("GET", "/api/audit", undefined, "admin"),
+    api("GET", "/api/lockouts", undefined, "admin"),
+  ]);
+  state.serverAdmins = admins;
+  state.serverStats = stats;
+  state.serverRoll = roll;
+  state.serverUsers = users;
+  state.serverAudit = audit;
+  state.serverLockouts = lockouts;
+}
 
-  return Math.min(100, Math.round(score));
+/**
+ * Signs in to the server and keeps the session token. The server also
+ * returns the account's face descriptor so face checks work on any device.
+ */
+async function signInToServer(role, credentials) {
+  const path = {
+    user: "/api/login",
+    passkey: "/api/passkeys/login",
+    admin: "/api/admin/login",
+    setup: "/api/admin/setup",
+  }[role];
+  const data = await api("POST", path, credentials);
+  const session = { setup: "admin", passkey: "user" }[role] || role;
+  ls.rawSet(SESSION_KEYS[session], data.token);
+  lastActivity = lastTouch[session] = Date.now();
+  openEventStream();
+  if (data.faceDescriptor) {
+    state.faceEnrollments[data.username] = true;
+    state.faceDescriptors[data.username] = new Float32Array(data.faceDescriptor);
+    persist("faceEnrollments", "faceDescriptors");
+  }
+  return data;
 }
 
-// ---------- Auth ----------
-let tempFaceDescriptor = null;
+function signOutOfServer(role) {
+  if (!useServer()) return;
+  api("POST", "/api/logout", {}, role).catch(() => {});
+  ls.del(SESSION_KEYS[role]);
+  openEventStream();
+}
 
-async function startRegistrationScan() {
-  const err = $("#reg-scan-error");
-  if (err) err.textContent = "";
+/**
+ * Saves an admin edit to an election's title, description, settings or
+ * archived flag, creating it on the server the first time it is saved.
+ */
+async function saveElection(el) {
+  if (!useServer()) {
+    const before = ((await store.get("elections")) || {})[el.id];
+    const changes = before ? electionChanges(before, el) : [];
+    if (!before) audit("election.created", { election: el.title });
+    else if (changes.length) audit("election.updated", { election: el.title, changes });
+    return persist("elections");
+  }
+  const { title, description, options, settings, archived, eligible, createdAt } = el;
+  try {
+    const body = { title, description, options, settings, archived, eligible, createdAt };
+    const res = await api("PUT", `/api/elections/${el.id}`, body, "admin");
+    state.elections[el.id] = res.election;
+  } catch (err) {
+    toast(err.message, "error");
+    await pullElections().catch(() => {});
+    if (state.admin) renderAdmin();
+  }
+}
 
-  startFaceVerification(async (descriptor) => {
-    if (!descriptor) return toast("Face scan failed. Try again.", "error");
+/**
+ * Adds, edits or removes a ballot option. `option` is the whole record; an
+ * edit keeps its id, so the ballots already cast for it keep counting.
+ */
+async function changeOption(el, action, option) {
+  if (!useServer()) {
+    const before = findOption(el, option.id);
+    if (action === "add") el.options = [...el.options, option];
+    else if (action === "edit") el.options = el.options.map((opt) => (opt.id === option.id ? option : opt));
+    else el.options = el.options.filter((opt) => opt.id !== option.id);
+    if (action === "edit") {
+      const changes = ["title", "description", "image", "link"]
+        .filter((key) => before[key] !== option[key])
+        .map((key) => `${key}: ${before[key] || "—"} → ${option[key] || "—"}`);
+      if (changes.length) audit("option.edited", { election: el.title, option: before.title, changes });
+    } else {
+      audit(action === "add" ? "option.added" : "option.removed", { election: el.title, option: option.title });
+    }
+    return persist("elections");
+  }
+  const path = `/api/elections/${el.id}/options`;
+  const { id, ...fields } = option;
+  const res = action === "add"
+    ? await api("POST", path, fields, "admin")
+    : await api(action === "edit" ? "PUT" : "DELETE", `${path}/${encodeURIComponent(id)}`, action === "edit" ? fields : undefined, "admin");
+  state.elections[el.id] = res.election;
+}
+
+// `ids` is every option id in the new order
+async function reorderOptions(el, ids) {
+  if (!useServer()) {
+    el.options = ids.map((id) => findOption(el, id));
+    audit("option.reordered", { election: el.title, order: el.options.map((opt) => opt.title) });
+    return persist("elections");
+  }
+  const res = await api("PUT", `/api/elections/${el.id}/options`, { order: ids }, "admin");
+  state.elections[el.id] = res.election;
+}
+
+// ---------- Elections ----------
+/**
+ * Creates an election record. Each election owns its options, tallies,
+ * voter records and settings so several polls can run side by side.
+ * `into` lets an import build elections without touching live state.
+ */
+function createElection({ title, description = "", options, votes, ballots, voters, userVotes, settings } = {}, into = state.elections) {
+  const id = "el_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  const el = {
+    id,
+    title: title || "Untitled election",
+    description,
+    options: options && options.length ? options.slice() : defaultOptions.slice(),
+    // Append-only, hash-chained ballot log; tallies are always derived from it.
+    // Ballots hold option ids and never name their voter: { choices: ["opt_b", "opt_a"], receipt: sha256(code) }
+    log: [],
+    // Participation ledger, kept sorted so it reveals nothing about ballot order
+    voters: voters || [],
+    activity: {}, // { slotStart: ballots cast }, see recordBallotTime()
+    receiptProofs: {}, // { username: proof }, see receiptProof()
+    eligible: null, // roll identifiers allowed to vote, or null for everyone
+    ballots, // legacy ballots / counts, chained into `log` by sealPendingBallots()
+    votes,
+    userVotes, // legacy { username: choice } mapping, folded into `voters` on normalize
+    settings: { ...defaultSettings, ...(settings || {}) },
+    archived: false,
+    createdAt: Date.now(),
+  };
+  into[id] = normalizeElection(el);
+  return el;
+}
 
-    // Uniqueness check
-    const threshold = 0.55;
-    const isDuplicate = Object.values(state.faceDescriptors).some(stored => {
-      const distance = faceapi.euclideanDistance(descriptor, stored);
-      return distance < threshold;
+/**
+ * Fills in fields added after an election was first stored. Elections that
+ * predate stored ballots get one single-choice ballot per counted vote, and
+ * the old username → choice mapping is reduced to who took part. Ballots
+ * from before the log existed wait in `pendingBallots` until they are
+ * hashed into the chain on boot.
+ */
+function normalizeElection(el) {
+  el.settings = { ...defaultSettings, ...(el.settings || {}) };
+  el.options = (Array.isArray(el.options) ? el.options : []).map(toOption);
+  // Replaced by approval ballots; repeat voting is no longer offered
+  delete el.settings.allowMultipleVotes;
+  el.log = Array.isArray(el.log) ? el.log : [];
+  let legacy = Array.isArray(el.ballots) ? el.ballots : [];
+  if (!Array.isArray(el.ballots) && el.votes && !el.log.length) {
+    Object.entries(el.votes).forEach(([opt, count]) => {
+      for (let i = 0; i < count; i++) legacy.push([opt]);
     });
+  }
+  el.voters = Array.isArray(el.voters) ? el.voters : [];
+  el.activity = el.activity && typeof el.activity === "object" ? el.activity : {};
+  el.eligible = Array.isArray(el.eligible) ? el.eligible : null;
+  if (el.userVotes) {
+    el.voters = [...new Set([...el.voters, ...Object.keys(el.userVotes)])].sort();
+    legacy = shuffle(legacy);
+  }
+  legacy = legacy.map((b) => (Array.isArray(b) ? { choices: b, receipt: null } : b));
+  if (legacy.length) el.pendingBallots = [...(el.pendingBallots || []), ...legacy];
+  delete el.userVotes;
+  delete el.ballots;
+  delete el.votes;
+  return el;
+}
 
-    if (isDuplicate) {
-      if (err) err.textContent = "This face is already registered with another account.";
-      toast("Identity already exists in VoteX.", "error");
-      return;
-    }
+// ---------- Ballot options ----------
+/*
+ * Option: { id, title, description, image, link }. Ballots name options by
+ * id, so a title can be corrected without touching the votes cast for it.
+ * Options from before ids existed keep their name as their id, which is what
+ * their ballots already hold.
+ */
+function toOption(option) {
+  if (typeof option === "string") return { id: option, title: option, description: "", image: "", link: "" };
+  const { id, title, description = "", image = "", link = "" } = option;
+  return { id: String(id), title: String(title || id), description: String(description), image: String(image), link: String(link) };
+}
 
-    tempFaceDescriptor = descriptor;
-    $("#register-step-1").classList.add("hidden");
-    $("#register-step-2").classList.remove("hidden");
-    toast("Face scanned! Now choose your username.", "success");
-  }, true); // pass 'true' to indicate we want the descriptor back
+function newOptionId() {
+  return "opt_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
 }
 
-function register() {
-  const user = $("#reg-username").value.trim();
-  const pass = $("#reg-password").value;
-  const err = $("#register-error");
-  err.textContent = "";
+function optionIds(el) {
+  return el.options.map((opt) => opt.id);
+}
 
-  if (!tempFaceDescriptor) return (err.textContent = "Please scan your face first.");
-  if (user.length < 3)
-    return (err.textContent = "Username must be at least 3 characters.");
-  if (pass.length < 6)
-    return (err.textContent = "Password must be at least 6 characters.");
-  if (!/^[A-Za-z0-9_]+$/.test(user))
-    return (err.textContent = "Only letters, numbers, and underscore allowed.");
-  if (state.users[user]) return (err.textContent = "Username already exists.");
+function findOption(el, id) {
+  return el.options.find((opt) => opt.id === id) || null;
+}
 
-  state.users[user] = pass;
-  state.faceEnrollments[user] = true;
-  state.faceDescriptors[user] = Array.from(tempFaceDescriptor); // stored as array
-  saveAll();
+function optionTitle(el, id) {
+  const opt = findOption(el, id);
+  return opt ? opt.title : "(removed option)";
+}
 
-  const enrollBio = $("#check-reg-bio-auto")?.checked;
+/**
+ * Checks an admin's option fields and returns them trimmed. Images and
+ * links have to be web addresses; the title must be unique on the ballot.
+ * Throws with a message for the admin.
+ */
+function cleanOption(el, { title, description = "", image = "", link = "" }, id = null) {
+  const fields = { title: (title || "").trim(), description: description.trim(), image: image.trim(), link: link.trim() };
+  if (!fields.title) throw new Error("Option title is required.");
+  if (el.options.some((opt) => opt.id !== id && opt.title.toLowerCase() === fields.title.toLowerCase()))
+    throw new Error("Option already exists.");
+  if (fields.image && !/^https?:\/\//i.test(fields.image)) throw new Error("Image must be an http(s) address.");
+  if (fields.link && !/^https?:\/\//i.test(fields.link)) throw new Error("Link must be an http(s) address.");
+  return fields;
+}
 
-  state.user = user;
-  ls.rawSet("va_userLoggedIn", user);
+/**
+ * The options in the order `user` sees them. With shuffleOptions on, each
+ * option is ranked by a hash of the election, voter and option, so a voter
+ * keeps one order across visits while position bias evens out across voters.
+ */
+function ballotOrder(el, user) {
+  if (!el.settings.shuffleOptions) return el.options;
+  const rank = (opt) => hash32(`${el.id}\u0000${user}\u0000${opt.id}`);
+  return el.options.slice().sort((a, b) => rank(a) - rank(b));
+}
 
-  const runSetups = async () => {
-    if (enrollBio) {
-      toast("Linking Biometrics...", "info");
-      await registerBiometrics();
-    }
-    renderVoteView();
-    switchView("#view-vote");
-    toast("Welcome to VoteX, " + user + "!", "success");
-    tempFaceDescriptor = null;
-  };
-  runSetups();
+// ---------- Ballot log ----------
+const GENESIS_HASH = "0".repeat(64);
+
+// Each entry's hash covers the election, its position, the previous hash
+// and the ballot itself, so editing, dropping or reordering breaks the chain.
+// A changed vote's entry also covers which ballot it replaces; that field is
+// left out when unset so entries from before keep their hashes.
+function entryHash(el, { seq, prev, ballot }) {
+  const { choices = null, receipt = null, replaces = null } = ballot || {};
+  const fields = [el.id, seq, prev, choices, receipt];
+  if (replaces !== null) fields.push(replaces);
+  return sha256Hex(JSON.stringify(fields));
 }
 
-function login() {
-  const user = $("#login-username").value.trim();
-  const pass = $("#login-password").value.trim();
-  const err = $("#login-error");
-  err.textContent = "";
+// Log positions of ballots whose voter has since changed their vote
+function replacedBallots(el) {
+  return new Set(el.log.map(({ ballot }) => ballot && ballot.replaces).filter(Number.isInteger));
+}
 
-  if (state.users[user] && state.users[user] === pass) {
-    state.user = user;
-    ls.rawSet("va_userLoggedIn", user);
-    renderVoteView();
-    switchView("#view-vote");
-    toast(`Welcome, ${user}!`, "success");
-  } else {
-    err.textContent = "Invalid username or password.";
-  }
+/**
+ * Finds the ballot a changed vote replaces by its receipt code, which only
+ * its voter holds, so nothing stored ties a voter to a ballot. Returns its
+ * log position, or -1 unless it is there and still counts.
+ */
+async function countedBallotIndex(el, code) {
+  const receipt = await sha256Hex(normalizeCode(code));
+  const i = el.log.findIndex(({ ballot }) => ballot && ballot.receipt === receipt);
+  return i >= 0 && !replacedBallots(el).has(i) ? i : -1;
 }
 
-function logoutUser() {
-  ls.del("va_userLoggedIn");
-  state.user = null;
-  switchView("#view-login");
-  toast("Logged out.");
+/*
+ * Ties a voter to their current ballot without saying which one it is: an
+ * HMAC of the election and username keyed with that ballot's receipt code.
+ * Mirrors receiptProof() in server/server.js.
+ */
+async function receiptProof(el, username, code) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(normalizeCode(code)), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(`${el.id}:${username}`));
+  return Array.from(new Uint8Array(mac), (b) => b.toString(16).padStart(2, "0")).join("");
 }
 
-function adminLogin() {
-  const user = $("#admin-username").value.trim();
-  const pass = $("#admin-password").value.trim();
-  const err = $("#admin-error");
-  err.textContent = "";
+let logQueue = Promise.resolve();
 
-  if (user === "admin" && pass === "admin123") {
-    state.admin = true;
-    ls.rawSet("va_adminLoggedIn", "true");
-    renderAdmin();
-    switchView("#view-admin");
-    toast("Admin logged in.", "success");
-  } else {
-    err.textContent = "Invalid admin credentials.";
-  }
+/**
+ * Appends a ballot to the election's chain. Appends are serialized so two
+ * quick votes can't both link to the same previous entry.
+ */
+function appendBallot(el, ballot) {
+  const run = logQueue.then(async () => {
+    const seq = el.log.length;
+    const prev = seq ? el.log[seq - 1].hash : GENESIS_HASH;
+    const entry = { seq, prev, ballot };
+    entry.hash = await entryHash(el, entry);
+    el.log.push(entry);
+    return entry;
+  });
+  logQueue = run.catch(() => {});
+  return run;
 }
 
-function logoutAdmin() {
-  state.admin = false;
-  ls.del("va_adminLoggedIn");
-  switchView("#view-admin-login");
-  toast("Admin logged out.");
+async function sealPendingBallots() {
+  const pending = listElections().filter((el) => el.pendingBallots);
+  for (const el of pending) {
+    const ballots = el.pendingBallots;
+    delete el.pendingBallots;
+    for (const ballot of ballots) await appendBallot(el, ballot);
+  }
+  if (pending.length) persist("elections");
 }
 
-// ---------- Biometric Authentication (WebAuthn Mock/Local) ----------
-async function registerBiometrics() {
-  if (!window.PublicKeyCredential) return toast("Biometrics not supported on this browser.", "error");
-  if (!state.user) return;
+// The ballots that count: each voter's latest one. Needs the ballot log,
+// which a shared server only sends to admins; see resultsOf().
+function ballotsOf(el) {
+  const replaced = replacedBallots(el);
+  return el.log
+    .filter((entry, i) => !replaced.has(i))
+    .map(({ ballot }) => (ballot && Array.isArray(ballot.choices) ? ballot : { choices: [], receipt: null }));
+}
 
-  try {
-    const challenge = new Uint8Array(32);
-    window.crypto.getRandomValues(challenge);
+// Bars show first preferences, or every ticked option on approval ballots.
+// Choices for options that were later removed simply aren't counted.
+// Returns { optionId: count }.
+function tallyVotes(el) {
+  const votes = {};
+  const ids = optionIds(el);
+  ids.forEach((id) => (votes[id] = 0));
+  ballotsOf(el).forEach(({ choices }) => {
+    const valid = choices.filter((id) => ids.includes(id));
+    const counted = el.settings.ballotType === "approval" ? valid : valid.slice(0, 1);
+    counted.forEach((opt) => (votes[opt] += 1));
+  });
+  return votes;
+}
 
-    const createOptions = {
-      publicKey: {
-        challenge,
-        rp: { name: "VoteX" },
-        user: {
-          id: new TextEncoder().encode(state.user),
-          name: state.user,
-          displayName: state.user
-        },
-        pubKeyCredParams: [{ alg: -7, type: "public-key" }],
-        authenticatorSelection: { authenticatorAttachment: "platform" },
-        timeout: 60000
-      }
-    };
+/**
+ * Ballots counted, votes per option and (for the runoff) every counted
+ * ranking. Worked out from the log where there is one, otherwise taken from
+ * what the server's /results returned.
+ */
+function resultsOf(el) {
+  if (!Array.isArray(el.log)) return state.serverResults[el.id] || { total: 0, tally: {}, rankings: [] };
+  const ballots = ballotsOf(el);
+  return { total: ballots.length, tally: tallyVotes(el), rankings: ballots.map((b) => b.choices) };
+}
 
-    const credential = await navigator.credentials.create(createOptions);
-    if (credential) {
-      state.biometrics[state.user] = btoa(String.fromCharCode(...new Uint8Array(credential.rawId)));
-      saveAll();
-      toast("Biometrics registered successfully!", "success");
+/**
+ * Recomputes the whole chain and reports every entry that no longer
+ * matches, plus a participation count that disagrees with the log.
+ */
+async function verifyElectionLog(el) {
+  const problems = [];
+  let prev = GENESIS_HASH;
+  for (let i = 0; i < el.log.length; i++) {
+    const entry = el.log[i] || {};
+    if (entry.seq !== i) {
+      problems.push({ entry: i + 1, reason: `sequence number is ${entry.seq}, expected ${i}` });
     }
-  } catch (err) {
-    console.error(err);
-    toast("Failed to register biometrics: " + err.message, "error");
+    if (entry.prev !== prev) {
+      problems.push({ entry: i + 1, reason: i ? `link to entry #${i} is broken` : "does not start from the genesis hash" });
+    }
+    if ((await entryHash(el, entry)) !== entry.hash) {
+      problems.push({ entry: i + 1, reason: "contents were altered (hash mismatch)" });
+    }
+    const replaces = entry.ballot ? entry.ballot.replaces : undefined;
+    if (replaces !== undefined && !(Number.isInteger(replaces) && replaces >= 0 && replaces < i)) {
+      problems.push({ entry: i + 1, reason: "replaces a ballot that doesn't come before it" });
+    } else if (replaces !== undefined && el.log.slice(0, i).some((e) => e.ballot && e.ballot.replaces === replaces)) {
+      problems.push({ entry: i + 1, reason: `replaces entry #${replaces + 1}, which was already replaced` });
+    }
+    prev = entry.hash;
   }
+  const counted = ballotsOf(el).length;
+  if (el.voters.length !== counted) {
+    problems.push({
+      entry: null,
+      reason: `participation ledger lists ${el.voters.length} voters but the log holds ${counted} current ballots`,
+    });
+  }
+  return { ok: !problems.length, problems, head: prev, count: el.log.length, tally: tallyVotes(el) };
 }
 
-async function loginWithBiometrics() {
-  if (!window.PublicKeyCredential) return toast("Biometrics not supported.", "error");
+function ballotTypeLabel(el) {
+  const { ballotType, maxSelections } = el.settings;
+  if (ballotType === "ranked") return "Ranked";
+  if (ballotType === "approval") return maxSelections ? `Pick up to ${maxSelections}` : "Approval";
+  return "Single choice";
+}
 
-  // For this demo, we'll try to find any registered user or ask for a username?
-  // Let's simplify: find the last user who logged in or ask to type username first.
-  const username = $("#login-username").value.trim();
-  if (!username) return toast("Please enter your username first.", "warn");
-  if (!state.biometrics[username]) return toast("No biometrics registered for this user.", "warn");
+/**
+ * Instant-runoff tally. Each round counts every ballot for its highest
+ * ranked option still in the race; if nobody holds a majority of the
+ * active ballots, the option with the fewest votes is eliminated. Options
+ * tied for last go out together only when their combined votes are still
+ * below the next option's, so dropping them at once can't change who
+ * survives. Otherwise the tie is broken by the latest earlier round in which
+ * they differed (the fewest votes there goes out); when no round separates
+ * them the count stops and `lastTie` lists them.
+ */
+function instantRunoff(options, ballots) {
+  let remaining = options.slice();
+  const rounds = [];
+  let winner = null;
+  let tie = null;
+  let lastTie = null;
 
-  try {
-    const challenge = new Uint8Array(32);
-    window.crypto.getRandomValues(challenge);
+  while (remaining.length) {
+    const counts = {};
+    remaining.forEach((opt) => (counts[opt] = 0));
+    let exhausted = 0;
+    ballots.forEach((ballot) => {
+      const pick = ballot.find((opt) => remaining.includes(opt));
+      if (pick) counts[pick] += 1;
+      else exhausted += 1;
+    });
+    const active = ballots.length - exhausted;
+    const round = { counts, exhausted, eliminated: [], tieBrokenBy: null };
+    rounds.push(round);
+    if (!active) break;
 
-    const getOptions = {
-      publicKey: {
-        challenge,
-        allowCredentials: [{
-          id: Uint8Array.from(atob(state.biometrics[username]), c => c.charCodeAt(0)),
-          type: "public-key"
-        }],
-        timeout: 60000
+    const max = Math.max(...remaining.map((opt) => counts[opt]));
+    if (max * 2 > active) {
+      winner = remaining.find((opt) => counts[opt] === max);
+      break;
+    }
+    const min = Math.min(...remaining.map((opt) => counts[opt]));
+    let losers = remaining.filter((opt) => counts[opt] === min);
+    if (losers.length === remaining.length) {
+      tie = remaining;
+      break;
+    }
+    const next = Math.min(...remaining.filter((opt) => !losers.includes(opt)).map((opt) => counts[opt]));
+    if (losers.length > 1 && min * losers.length >= next) {
+      for (let r = rounds.length - 2; r >= 0 && losers.length > 1; r--) {
+        const low = Math.min(...losers.map((opt) => rounds[r].counts[opt]));
+        const fewest = losers.filter((opt) => rounds[r].counts[opt] === low);
+        if (fewest.length < losers.length) {
+          losers = fewest;
+          round.tieBrokenBy = r;
+        }
+      }
+      if (losers.length > 1) {
+        lastTie = losers;
+        break;
       }
-    };
-
-    const assertion = await navigator.credentials.get(getOptions);
-    if (assertion) {
-      state.user = username;
-      ls.rawSet("va_userLoggedIn", username);
-      renderVoteView();
-      switchView("#view-vote");
-      toast(`Welcome back, ${username}! (Biometric Login)`, "success");
     }
-  } catch (err) {
-    console.error(err);
-    toast("Biometric login failed.", "error");
+    round.eliminated = losers;
+    remaining = remaining.filter((opt) => !losers.includes(opt));
+  }
+
+  return { rounds, winner, tie, lastTie };
+}
+
+function currentElection() {
+  return state.elections[state.electionId] || null;
+}
+
+function setCurrentElection(id) {
+  state.electionId = id;
+  if (id) ls.rawSet("va_electionId", id);
+  else ls.del("va_electionId");
+}
+
+function listElections() {
+  return Object.values(state.elections).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// What a voter can pick: open elections to vote in, closed ones for their results
+function voterElections() {
+  return listElections().filter((el) => !el.archived && canVoteIn(state.user, el));
+}
+
+function openElections() {
+  return voterElections().filter((el) => el.settings.votingOpen);
+}
+
+/**
+ * Resolves whether an election accepts ballots right now, combining the
+ * manual open/closed switch with the scheduled voting window.
+ */
+function votingStatus(el, now = Date.now()) {
+  if (!el || el.archived) return { open: false, phase: "closed", message: "This election is not available." };
+  const { votingOpen, opensAt, closesAt } = el.settings;
+  if (!votingOpen) return { open: false, phase: "closed", message: "Voting is currently closed." };
+  if (opensAt && now < opensAt) {
+    return {
+      open: false,
+      phase: "scheduled",
+      message: `Voting opens ${formatDateTime(opensAt)}.`,
+      remaining: opensAt - now,
+    };
+  }
+  if (closesAt && now >= closesAt) {
+    return { open: false, phase: "closed", message: `Voting closed ${formatDateTime(closesAt)}.` };
+  }
+  return { open: true, phase: "open", message: "", remaining: closesAt ? closesAt - now : null };
+}
+
+/**
+ * Persists the closure of any election whose window has ended, so a reload
+ * after the deadline never reopens it. Returns true when something changed.
+ */
+function applySchedules(now = Date.now()) {
+  let changed = false;
+  Object.values(state.elections).forEach((el) => {
+    const { votingOpen, closesAt } = el.settings;
+    if (votingOpen && closesAt && now >= closesAt) {
+      el.settings.votingOpen = false;
+      changed = true;
+    }
+  });
+  if (changed) persist("elections");
+  return changed;
+}
+
+// ---------- Audit log ----------
+/**
+ * Admin and security events, hash-chained like the ballot log so editing or
+ * dropping an entry shows up when the chain is verified. Entries:
+ * { seq, at, role: "admin" | "voter" | "anonymous", actor, action, detail, prev, hash }.
+ * Clearing the log leaves an "audit.cleared" entry that links to the old head.
+ */
+const ANONYMOUS = { role: "anonymous", actor: null };
+// In server mode the server records its own changes; only what happens in
+// the browser itself is reported to it
+const REPORTED_AUDIT_ACTIONS = ["face.mismatch", "face.lockout", "settings.updated"];
+// Filter groups for the admin panel, by action prefix
+const AUDIT_CATEGORIES = {
+  accounts: { label: "Sign-ins & accounts", prefixes: ["admin.", "voter.", "login."] },
+  face: { label: "Face checks", prefixes: ["face."] },
+  elections: { label: "Elections & options", prefixes: ["election.", "option.", "votes."] },
+  roll: { label: "Voter roll", prefixes: ["roll."] },
+  data: { label: "Imports & backups", prefixes: ["data.", "backup."] },
+  settings: { label: "Settings & log", prefixes: ["settings.", "audit."] },
+};
+let auditQueue = Promise.resolve();
+
+function auditHash({ seq, at, role, actor, action, detail, prev }) {
+  return sha256Hex(JSON.stringify([seq, at, role, actor, action, detail, prev]));
+}
+
+function auditEntries() {
+  return useServer() ? state.serverAudit : state.audit;
+}
+
+/**
+ * Records an event. `who` defaults to the signed-in admin; voter events pass
+ * { role: "voter", actor: username }. Appends run one at a time so each
+ * entry links to the one before it.
+ */
+function audit(action, detail = {}, who = { role: "admin", actor: state.admin }) {
+  if (useServer()) {
+    if (!REPORTED_AUDIT_ACTIONS.includes(action)) return Promise.resolve();
+    return api("POST", "/api/audit", { action, detail }, who.role === "voter" ? "user" : "admin").catch(() => {});
+  }
+  auditQueue = auditQueue
+    .then(() => appendAudit(action, detail, who))
+    .catch((err) => console.error("Audit log write failed:", err));
+  return auditQueue;
+}
+
+async function appendAudit(action, detail, { role, actor }, clear = false) {
+  // Re-read first: another tab may have appended since this one loaded
+  const log = (await store.get("audit")) || state.audit;
+  const last = log[log.length - 1];
+  const prev = last ? last.hash : GENESIS_HASH;
+  if (clear) detail = { ...detail, entries: log.length, head: prev };
+  const entry = { seq: last ? last.seq + 1 : 0, at: Date.now(), role, actor, action, detail, prev };
+  entry.hash = await auditHash(entry);
+  state.audit = clear ? [entry] : [...log, entry];
+  await persist("audit");
+  renderAuditLog();
+}
+
+async function clearAuditLog() {
+  const count = auditEntries().length;
+  if (!confirm(`Clear all ${count} audit entries? The clearing itself is recorded and can't be undone.`)) return;
+  try {
+    if (useServer()) {
+      state.serverAudit = (await api("POST", "/api/audit/clear", {}, "admin")).audit;
+    } else {
+      auditQueue = auditQueue.then(() => appendAudit("audit.cleared", {}, { role: "admin", actor: state.admin }, true));
+      await auditQueue;
+    }
+  } catch (err) {
+    return toast(err.message, "error");
+  }
+  renderAuditLog();
+  toast("Audit log cleared.", "success");
+}
+
+// Checks every link and hash. A cleared log starts from the old head instead of genesis.
+async function verifyAuditLog(entries = auditEntries()) {
+  const problems = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i] || {};
+    if (i === 0) {
+      const start = entry.action === "audit.cleared" && entry.detail ? entry.detail.head : GENESIS_HASH;
+      if (entry.prev !== start) problems.push(`Entry #${entry.seq}: doesn't start from the genesis hash.`);
+    } else {
+      if (entry.seq !== entries[i - 1].seq + 1) problems.push(`Entry #${entry.seq}: sequence jumps from #${entries[i - 1].seq}.`);
+      if (entry.prev !== entries[i - 1].hash) problems.push(`Entry #${entry.seq}: link to the previous entry is broken.`);
+    }
+    if ((await auditHash(entry)) !== entry.hash) problems.push(`Entry #${entry.seq}: contents were altered (hash mismatch).`);
+  }
+  return { ok: !problems.length, problems, count: entries.length };
+}
+
+function auditMatches(entry, category, query) {
+  const group = AUDIT_CATEGORIES[category];
+  if (group && !group.prefixes.some((p) => entry.action.startsWith(p))) return false;
+  if (!query) return true;
+  return [entry.actor, entry.action, auditDetailText(entry.detail)].join(" ").toLowerCase().includes(query);
+}
+
+function auditDetailText(detail) {
+  return Object.entries(detail || {})
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join("; ") : value}`)
+    .join(" • ");
+}
+
+// Human-readable list of what an admin edit changed, for the audit log
+function electionChanges(before, after) {
+  const show = (key, value) => {
+    if (value == null) return "—";
+    if (key === "eligible") return `${value.length} on the roll`;
+    if (key.endsWith("At") && typeof value === "number") return new Date(value).toISOString();
+    return String(value);
+  };
+  const changes = [];
+  const compare = (key, a, b) => {
+    if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) changes.push(`${key}: ${show(key, a)} → ${show(key, b)}`);
+  };
+  ["title", "description", "archived", "eligible"].forEach((key) => compare(key, before[key], after[key]));
+  Object.keys(after.settings).forEach((key) => compare(key, (before.settings || {})[key], after.settings[key]));
+  return changes;
+}
+
+// Theme
+(function initTheme() {
+  const saved = ls.rawGet("va_theme") || "light";
+  document.documentElement.setAttribute("data-theme", saved);
+})();
+
+// ---------- Utils ----------
+const $ = (s) => document.querySelector(s);
+const $$ = (s) => document.querySelectorAll(s);
+
+function toast(msg, type = "") {
+  const el = document.createElement("div");
+  el.className = "toast" + (type ? " " + type : "");
+  el.textContent = msg;
+  $("#toastWrap").appendChild(el);
+  setTimeout(() => el.remove(), 3500);
+}
+
+// FNV-1a: a quick, stable 32-bit hash for ordering things, not for security
+function hash32(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function shuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function percent(count, total) {
+  if (!total) return 0;
+  return Math.round((count / total) * 100);
+}
+
+function formatDateTime(ts) {
+  return new Date(ts).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+}
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (d ? `${d}d ` : "") + `${pad(h)}:${pad(m)}:${pad(s % 60)}`;
+}
+
+// Value format expected by <input type="datetime-local">
+function toLocalInputValue(ts) {
+  if (!ts) return "";
+  const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+}
+
+/**
+ * Improved sanitization to prevent XSS.
+ */
+function sanitize(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function switchView(id) {
+  $$(".view").forEach((v) => v.classList.remove("active"));
+  $(id).classList.add("active");
+}
+
+function setTheme(t) {
+  document.documentElement.setAttribute("data-theme", t);
+  ls.rawSet("va_theme", t);
+}
+
+// ---------- Password helpers ----------
+/**
+ * Improved password strength calculation.
+ */
+function scorePassword(pw) {
+  let score = 0;
+  if (!pw) return score;
+
+  // Length factor (0-40 points)
+  score += Math.min(pw.length, 12) * 3.33;
+
+  // Diversity factors (60 points)
+  if (/[a-z]/.test(pw)) score += 15;
+  if (/[A-Z]/.test(pw)) score += 15;
+  if (/\d/.test(pw)) score += 15;
+  if (/[^A-Za-z0-9]/.test(pw)) score += 15;
+
+  return Math.min(100, Math.round(score));
+}
+
+const PBKDF2_ITERATIONS = 210000;
+
+function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = "";
+  // In chunks: spreading a large buffer into one call overflows the stack
+  for (let i = 0; i < view.length; i += 0x8000) binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+// The URL-safe, unpadded variant WebAuthn uses
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  return fromBase64(str.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(str.length / 4) * 4, "="));
+}
+
+/**
+ * Derives a salted PBKDF2-SHA256 hash. Returns the record stored in place
+ * of the password: { algo, iterations, salt, hash }.
+ */
+async function hashPassword(pass, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(pass), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return { algo: "PBKDF2-SHA256", iterations, salt: toBase64(salt), hash: toBase64(bits) };
+}
+
+async function verifyPassword(pass, record) {
+  if (!record || !record.salt) return false;
+  const { hash } = await hashPassword(pass, fromBase64(record.salt), record.iterations);
+  // Compare every character so timing doesn't leak how much matched
+  let diff = hash.length ^ record.hash.length;
+  for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ (record.hash.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+/**
+ * Checks a user's password. Accounts created before hashing stored the
+ * password as a plain string; those are upgraded on their first successful
+ * login.
+ */
+async function checkUserPassword(user, pass) {
+  const record = state.users[user];
+  if (!record) return false;
+  if (typeof record === "string") {
+    if (record !== pass) return false;
+    state.users[user] = { password: await hashPassword(pass), createdAt: Date.now() };
+    persist("users");
+    return true;
+  }
+  return verifyPassword(pass, record.password);
+}
+
+// ---------- Sessions ----------
+/*
+ * A session is a signed token, base64url(JSON payload) + "." + signature,
+ * with payload { sid, sub, role, iat, exp, authAt, seen }. A server signs and
+ * checks its own; in this browser they are signed with a non-extractable key
+ * kept in IndexedDB, so editing localStorage can't sign anyone in. authAt is
+ * when the password or passkey was last entered, for elections that want a
+ * fresh sign-in before a ballot is cast.
+ */
+const SESSION_KEYS = { user: "va_userToken", admin: "va_adminToken" };
+// Mirrored by SESSION_POLICY in server/server.js; admin sessions are shorter
+const SESSION_POLICY = {
+  user: { ttlMinutes: 12 * 60, idleMinutes: 30 },
+  admin: { ttlMinutes: 2 * 60, idleMinutes: 15 },
+};
+const SESSION_TOUCH_MS = 60 * 1000; // activity refreshes a session at most this often
+let sessionKeyPromise = null;
+let lastActivity = Date.now();
+const lastTouch = { user: 0, admin: 0 };
+
+function sessionKey() {
+  if (!sessionKeyPromise) sessionKeyPromise = loadSessionKey();
+  return sessionKeyPromise;
+}
+
+// Without IndexedDB the key has to sit in localStorage, which only stops casual edits
+async function loadSessionKey() {
+  const params = { name: "HMAC", hash: "SHA-256" };
+  if (store.useIdb) {
+    try {
+      let key = await idb.get("va_sessionKey");
+      if (!key) {
+        key = await crypto.subtle.generateKey(params, false, ["sign", "verify"]);
+        await idb.set("va_sessionKey", key);
+      }
+      return key;
+    } catch (err) {
+      console.warn("Session key can't be kept in IndexedDB:", err);
+    }
+  }
+  let raw = ls.rawGet("va_sessionKey");
+  if (!raw) {
+    raw = toBase64(crypto.getRandomValues(new Uint8Array(32)));
+    ls.rawSet("va_sessionKey", raw);
+  }
+  return crypto.subtle.importKey("raw", fromBase64(raw), params, false, ["sign", "verify"]);
+}
+
+async function signSession(payload) {
+  const body = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign("HMAC", await sessionKey(), new TextEncoder().encode(body));
+  return `${body}.${toBase64Url(signature)}`;
+}
+
+// The payload as written, without checking the signature
+function decodeSession(token) {
+  try {
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(String(token).split(".")[0])));
+  } catch {
+    return null;
+  }
+}
+
+function accountFor(role, username) {
+  return (role === "admin" ? state.admins : state.users)[username];
+}
+
+/**
+ * The payload of the role's session if it is still good, else null. Here the
+ * signature, expiry and idle time are checked, and the account has to exist,
+ * be enabled and not have been signed out everywhere since. A server's token
+ * is only checked for expiry; the server checks the rest on every request.
+ */
+async function readSession(role) {
+  const token = ls.rawGet(SESSION_KEYS[role]);
+  const payload = token && decodeSession(token);
+  if (!payload || payload.role !== role || !(payload.exp > Date.now())) return null;
+  if (useServer()) return payload;
+  const [body, signature] = token.split(".");
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify("HMAC", await sessionKey(), fromBase64Url(signature || ""), new TextEncoder().encode(body));
+  } catch {
+    valid = false;
+  }
+  const account = valid && accountFor(role, payload.sub);
+  if (!account || (role === "user" && isDisabled(payload.sub))) return null;
+  if (payload.iat < (account.sessionsValidFrom || 0)) return null;
+  if (Date.now() - payload.seen > SESSION_POLICY[role].idleMinutes * 60000) return null;
+  return payload;
+}
+
+// Signs a voter or admin in on this browser; a server's token comes from signInToServer()
+async function startLocalSession(role, username) {
+  const now = Date.now();
+  const sid = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const exp = now + SESSION_POLICY[role].ttlMinutes * 60000;
+  ls.rawSet(SESSION_KEYS[role], await signSession({ sid, sub: username, role, iat: now, exp, authAt: now, seen: now }));
+  lastActivity = lastTouch[role] = now;
+}
+
+// Re-signs a local session with some fields changed, e.g. { authAt } after re-entering a password
+async function updateLocalSession(role, changes) {
+  const payload = await readSession(role);
+  if (payload) ls.rawSet(SESSION_KEYS[role], await signSession({ ...payload, ...changes }));
+}
+
+// Whether the password or passkey was entered within the last `minutes`
+function sessionIsFresh(role, minutes) {
+  const payload = decodeSession(ls.rawGet(SESSION_KEYS[role]));
+  return !!payload && Date.now() - payload.authAt <= minutes * 60000;
+}
+
+// Activity keeps sessions alive: locally by re-signing `seen`, on a server by a request
+function noteActivity() {
+  lastActivity = Date.now();
+  ["user", "admin"].forEach((role) => {
+    if (!state[role] || lastActivity - lastTouch[role] < SESSION_TOUCH_MS) return;
+    lastTouch[role] = lastActivity;
+    if (useServer()) api("GET", "/api/session", undefined, role).catch(() => {});
+    else updateLocalSession(role, { seen: lastActivity });
+  });
+}
+
+// Signs out whoever's session expired, idled out or was ended from elsewhere
+async function enforceSessions() {
+  for (const role of ["user", "admin"]) {
+    if (!state[role]) continue;
+    const idle = Date.now() - lastActivity > SESSION_POLICY[role].idleMinutes * 60000;
+    if (!idle && (await readSession(role))) continue;
+    if (role === "user") endUserSession();
+    else endAdminSession();
+    toast(idle ? "Signed out after a period of inactivity." : "Your session has ended. Please sign in again.", "warn");
+  }
+}
+
+function startSessionClock() {
+  ["pointerdown", "keydown"].forEach((type) => document.addEventListener(type, noteActivity, { passive: true }));
+  setInterval(enforceSessions, 30 * 1000);
+}
+
+/**
+ * Ends every session of the signed-in voter or admin: on a server, on every
+ * device; here, in every tab of this browser.
+ */
+async function logoutEverywhere(role) {
+  const username = state[role];
+  if (!username) return;
+  try {
+    if (useServer()) {
+      await api("POST", "/api/logout/all", {}, role);
+    } else {
+      const account = role === "admin" ? state.admins[username] : await userRecord(username);
+      account.sessionsValidFrom = Date.now();
+      await persist(role === "admin" ? "admins" : "users");
+      audit(role === "admin" ? "admin.logout_all" : "voter.logout_all", {}, { role: role === "admin" ? "admin" : "voter", actor: username });
+    }
+  } catch (err) {
+    return toast(err.message, "error");
+  }
+  if (role === "admin") endAdminSession();
+  else endUserSession();
+  toast(useServer() ? "Signed out on every device." : "Signed out in every tab.", "success");
+}
+
+// What to do once the voter has confirmed it's them; see requestReauth()
+let pendingReauth = null;
+
+function requestReauth(then) {
+  pendingReauth = then;
+  $("#reauth-box")?.classList.remove("hidden");
+  $("#reauth-password")?.focus();
+  toast("Please confirm it's you before voting.", "info");
+}
+
+function hideReauth() {
+  pendingReauth = null;
+  $("#reauth-box")?.classList.add("hidden");
+  const input = $("#reauth-password");
+  if (input) input.value = "";
+}
+
+/**
+ * Re-checks the signed-in voter's password or passkey, marks the session
+ * freshly authenticated and carries on with the ballot that asked for it.
+ */
+async function reauthenticate(method) {
+  const user = state.user;
+  if (!user) return hideReauth();
+  const block = useServer() ? { wait: 0 } : loginBlock("user", user);
+  if (block.wait) return toast(loginBlockMessage(block), "error");
+  try {
+    if (method === "passkey") {
+      if (!window.PublicKeyCredential) throw new Error("Passkeys are not supported on this browser.");
+      await passkeyAssertion(user);
+    } else if (useServer()) {
+      const { token } = await api("POST", "/api/session/reauth", { password: $("#reauth-password").value }, "user");
+      ls.rawSet(SESSION_KEYS.user, token);
+      openEventStream();
+    } else if (!(await checkUserPassword(user, $("#reauth-password").value))) {
+      throw new Error("Incorrect password.");
+    }
+    if (!useServer()) await updateLocalSession("user", { authAt: Date.now(), seen: Date.now() });
+  } catch (err) {
+    audit("voter.reauth_failed", { method, reason: err.message }, { role: "voter", actor: user });
+    if (!useServer() && method === "password") recordLoginFailure("user", user);
+    return toast(err.message, "error");
+  }
+  const then = pendingReauth;
+  hideReauth();
+  if (then) then();
+}
+
+// ---------- Sign-in throttling ----------
+/*
+ * Failed sign-ins are counted per account and per device (this browser; a
+ * server counts per client address). Every failure doubles the wait before
+ * the next try, and loginMaxAttempts in a row lock the account for
+ * loginLockoutMinutes. A device gets DEVICE_ATTEMPT_FACTOR times as many
+ * tries, spread over all accounts, and its wait grows that much slower.
+ * Counts are persisted, so reloading doesn't reset them, and forgotten
+ * after a lockout's length without failures.
+ * LoginAttempts: { failures, lastFailureAt, retryAt, lockedUntil }.
+ */
+const LOGIN_BACKOFF_MS = 1000;
+const DEVICE_ATTEMPT_FACTOR = 4;
+const DEVICE_KEY = "device";
+
+function attemptKeys(role, username) {
+  return [`${role}:${username}`, DEVICE_KEY];
+}
+
+/**
+ * How long `username` has to wait before trying to sign in as `role` again:
+ * { wait (ms), locked }. `locked` means a lockout rather than the backoff.
+ */
+function loginBlock(role, username) {
+  const now = Date.now();
+  let wait = 0;
+  let locked = false;
+  attemptKeys(role, username).forEach((key) => {
+    const rec = state.loginAttempts[key];
+    if (rec && rec.lockedUntil > now) {
+      locked = true;
+      wait = Math.max(wait, rec.lockedUntil - now);
+    } else if (rec && rec.retryAt > now) {
+      wait = Math.max(wait, rec.retryAt - now);
+    }
+  });
+  return { wait, locked };
+}
+
+function loginBlockMessage({ wait, locked }) {
+  return locked
+    ? `Too many failed sign-ins. Locked for ${formatDuration(wait)}; an admin can unlock it sooner.`
+    : `Too many attempts. Try again in ${formatDuration(wait)}.`;
+}
+
+function recordLoginFailure(role, username) {
+  const now = Date.now();
+  const lockoutMs = state.config.loginLockoutMinutes * 60000;
+  // Stale counters go first, so mistyped names don't pile up
+  Object.keys(state.loginAttempts).forEach((key) => {
+    const rec = state.loginAttempts[key];
+    if (now - rec.lastFailureAt > lockoutMs && !(rec.lockedUntil > now)) delete state.loginAttempts[key];
+  });
+  attemptKeys(role, username).forEach((key) => {
+    const rec = state.loginAttempts[key] || { failures: 0, lastFailureAt: 0, retryAt: 0, lockedUntil: 0 };
+    const factor = key === DEVICE_KEY ? DEVICE_ATTEMPT_FACTOR : 1;
+    rec.failures += 1;
+    rec.lastFailureAt = now;
+    if (rec.failures >= state.config.loginMaxAttempts * factor) {
+      rec.failures = 0;
+      rec.lockedUntil = now + lockoutMs;
+      audit("login.lockout", { account: key, minutes: state.config.loginLockoutMinutes }, ANONYMOUS);
+    } else {
+      rec.retryAt = now + Math.min(LOGIN_BACKOFF_MS * 2 ** (Math.ceil(rec.failures / factor) - 1), lockoutMs);
+    }
+    state.loginAttempts[key] = rec;
+  });
+  persist("loginAttempts");
+}
+
+// A successful sign-in clears the account's count; the device's runs out on its own
+function clearLoginFailures(role, username) {
+  if (!state.loginAttempts[`${role}:${username}`]) return;
+  delete state.loginAttempts[`${role}:${username}`];
+  persist("loginAttempts");
+}
+
+// Current lockouts for the admin panel, keyed like loginAttempts
+function lockoutEntries() {
+  if (useServer()) return state.serverLockouts;
+  const now = Date.now();
+  const locked = {};
+  Object.entries(state.loginAttempts).forEach(([key, rec]) => rec.lockedUntil > now && (locked[key] = rec));
+  return locked;
+}
+
+function lockoutLabel(key) {
+  const [kind, ...rest] = key.split(":");
+  const name = rest.join(":");
+  if (kind === "user") return `Voter ${name}`;
+  if (kind === "admin") return `Admin ${name}`;
+  if (kind === "ip") return `Device ${name}`;
+  return "This device";
+}
+
+async function unlockLogin(key) {
+  if (useServer()) {
+    const res = await api("DELETE", `/api/lockouts/${encodeURIComponent(key)}`, undefined, "admin");
+    state.serverLockouts = res.lockouts;
+    state.serverUsers = res.users;
+  } else {
+    delete state.loginAttempts[key];
+    await persist("loginAttempts");
+    audit("login.unlocked", { account: key });
+  }
+  toast(`${lockoutLabel(key)} unlocked.`, "success");
+}
+
+// ---------- Auth ----------
+let tempFaceDescriptor = null;
+// Signed in, but still owing what an admin asked for; see continueLogin()
+let pendingLogin = null;
+
+// One person, one account: compares against every enrolled face but `except`'s
+function isFaceTaken(descriptor, except) {
+  const threshold = state.config.faceMatchThreshold;
+  return Object.entries(state.faceDescriptors).some(
+    ([user, stored]) => user !== except && faceapi.euclideanDistance(descriptor, stored) < threshold
+  );
+}
+
+function isDisabled(user) {
+  const record = state.users[user];
+  return !!(record && record.disabled);
+}
+
+async function startRegistrationScan() {
+  const err = $("#reg-scan-error");
+  if (err) err.textContent = "";
+
+  startFaceVerification(async (descriptor) => {
+    if (!descriptor) return toast("Face scan failed. Try again.", "error");
+
+    if (isFaceTaken(descriptor)) {
+      if (err) err.textContent = "This face is already registered with another account.";
+      toast("Identity already exists in VoteX.", "error");
+      return;
+    }
+
+    tempFaceDescriptor = descriptor;
+    $("#register-step-1").classList.add("hidden");
+    $("#register-step-2").classList.remove("hidden");
+    toast("Face scanned! Now choose your username.", "success");
+  }, { samples: FACE_ENROLL_SAMPLES }); // averaged for more robust matching later
+}
+
+async function register() {
+  const user = $("#reg-username").value.trim();
+  const pass = $("#reg-password").value;
+  const invite = $("#reg-invite")?.value || "";
+  const err = $("#register-error");
+  err.textContent = "";
+
+  if (!tempFaceDescriptor) return (err.textContent = "Please scan your face first.");
+  if (user.length < 3)
+    return (err.textContent = "Username must be at least 3 characters.");
+  if (pass.length < 6)
+    return (err.textContent = "Password must be at least 6 characters.");
+  if (!/^[A-Za-z0-9_]+$/.test(user))
+    return (err.textContent = "Only letters, numbers, and underscore allowed.");
+
+  if (useServer()) {
+    try {
+      const { token } = await api("POST", "/api/register", {
+        username: user,
+        password: pass,
+        faceDescriptor: Array.from(tempFaceDescriptor),
+        inviteCode: invite,
+      });
+      ls.rawSet(SESSION_KEYS.user, token);
+      openEventStream();
+      await pullElections();
+    } catch (e) {
+      return (err.textContent = e.message);
+    }
+  } else {
+    if (state.users[user]) return (err.textContent = "Username already exists.");
+    let rollId = null;
+    // Once there is a voter roll, only invited people can register
+    if (Object.keys(state.roll).length) {
+      rollId = await findInvite(invite);
+      if (!rollId) return (err.textContent = "Invalid invite code.");
+      if (state.roll[rollId].usedBy) return (err.textContent = "This invite code has already been used.");
+    }
+    state.users[user] = { password: await hashPassword(pass), createdAt: Date.now(), rollId };
+    if (rollId) Object.assign(state.roll[rollId], { usedBy: user, usedAt: Date.now() });
+    persist("users", "roll");
+  }
+  state.faceEnrollments[user] = true;
+  state.faceDescriptors[user] = Array.from(tempFaceDescriptor); // stored as array
+  persist("faceEnrollments", "faceDescriptors");
+
+  const enrollBio = $("#check-reg-bio-auto")?.checked;
+
+  if (!useServer()) await startLocalSession("user", user);
+  state.user = user;
+
+  const runSetups = async () => {
+    if (enrollBio) {
+      toast("Adding a passkey...", "info");
+      await registerBiometrics();
+    }
+    renderVoteView();
+    switchView("#view-vote");
+    toast("Welcome to VoteX, " + user + "!", "success");
+    tempFaceDescriptor = null;
+  };
+  runSetups();
+}
+
+async function login() {
+  const user = $("#login-username").value.trim();
+  const pass = $("#login-password").value.trim();
+  const err = $("#login-error");
+  err.textContent = "";
+  // A server keeps its own counts and answers with the same message
+  const block = useServer() ? { wait: 0 } : loginBlock("user", user);
+  if (block.wait) return (err.textContent = loginBlockMessage(block));
+
+  let account;
+  try {
+    if (useServer()) {
+      account = await signInToServer("user", { username: user, password: pass });
+      await pullElections();
+    } else {
+      if (!(await checkUserPassword(user, pass))) throw new Error("Invalid username or password.");
+      if (isDisabled(user)) throw new Error("This account has been disabled.");
+      account = state.users[user];
+    }
+  } catch (e) {
+    audit("voter.login_failed", { username: user, method: "password", reason: e.message }, ANONYMOUS);
+    if (!useServer()) recordLoginFailure("user", user);
+    return (err.textContent = e.message);
+  }
+  if (!useServer()) clearLoginFailures("user", user);
+  continueLogin({ user, account, method: "password", greeting: `Welcome, ${user}!` });
+}
+
+/**
+ * Finishes signing in once the account is in order: after an admin reset
+ * the voter first picks a new password, and after a cleared enrollment
+ * scans their face again. `account` carries the admin's flags.
+ */
+async function continueLogin(login) {
+  const { user, account, method, greeting } = login;
+  if (account.mustChangePassword || account.mustEnrollFace) {
+    pendingLogin = login;
+    if (account.mustChangePassword) return showPasswordChange(true);
+    return reenrollFace(login);
+  }
+  pendingLogin = null;
+  if (!useServer()) await startLocalSession("user", user);
+  state.user = user;
+  if (!useServer()) recordLogin(method); // the server counts its own logins
+  renderVoteView();
+  switchView("#view-vote");
+  toast(greeting, "success");
+}
+
+function showPasswordChange(show) {
+  $("#login-main")?.classList.toggle("hidden", show);
+  $("#login-reset")?.classList.toggle("hidden", !show);
+  if (show) toast("An admin reset your password. Choose a new one to continue.", "info");
+}
+
+async function setNewPassword() {
+  if (!pendingLogin) return showPasswordChange(false);
+  const input = $("#login-new-password");
+  const pass = input.value;
+  const { user, account } = pendingLogin;
+  if (pass.length < 6) return toast("Password must be at least 6 characters.", "warn");
+  try {
+    if (useServer()) await api("PUT", "/api/account/password", { password: pass }, "user");
+    else state.users[user].password = await hashPassword(pass);
+  } catch (e) {
+    return toast(e.message, "error");
+  }
+  delete account.mustChangePassword;
+  if (!useServer()) persist("users");
+  audit("voter.password_changed", {}, { role: "voter", actor: user });
+  input.value = "";
+  showPasswordChange(false);
+  continueLogin(pendingLogin);
+}
+
+function reenrollFace(login) {
+  const { user, account } = login;
+  toast("Your face enrollment was reset. Scan your face to continue.", "info");
+  startFaceVerification(async (descriptor) => {
+    if (!descriptor) return toast("Face scan failed. Try again.", "error");
+    if (isFaceTaken(descriptor, user)) return toast("This face is already registered with another account.", "error");
+    try {
+      if (useServer()) await api("PUT", "/api/account/face", { faceDescriptor: Array.from(descriptor) }, "user");
+    } catch (e) {
+      return toast(e.message, "error");
+    }
+    delete account.mustEnrollFace;
+    state.faceEnrollments[user] = true;
+    state.faceDescriptors[user] = new Float32Array(descriptor);
+    persist("faceEnrollments", "faceDescriptors");
+    if (!useServer()) persist("users");
+    audit("voter.face_enrolled", {}, { role: "voter", actor: user });
+    continueLogin(login);
+  }, { samples: FACE_ENROLL_SAMPLES });
+}
+
+function logoutUser() {
+  endUserSession();
+  switchView("#view-login");
+  toast("Logged out.");
+}
+
+// Signs the voter out quietly; an admin working in this tab stays where they are
+function endUserSession() {
+  pendingLogin = null;
+  if (ls.rawGet(SESSION_KEYS.user)) signOutOfServer("user");
+  ls.del(SESSION_KEYS.user);
+  state.user = null;
+  recentReceipts = {};
+  hideReauth();
+  hideReview();
+  if (!$("#view-admin").classList.contains("active")) switchView("#view-login");
+}
+
+// Admin accounts live on the server when one is configured
+function adminAccounts() {
+  return useServer() ? state.serverAdmins : state.admins;
+}
+
+function hasAdmins() {
+  return useServer() ? state.serverHasAdmins : Object.keys(state.admins).length > 0;
+}
+
+// A fresh install has no admin yet, so the first visit creates one
+function showAdminLogin() {
+  switchView(hasAdmins() ? "#view-admin-login" : "#view-admin-setup");
+}
+
+async function startAdminSession(user) {
+  if (!useServer()) await startLocalSession("admin", user);
+  state.admin = user;
+  renderAdmin();
+  switchView("#view-admin");
+}
+
+async function adminLogin() {
+  const user = $("#admin-username").value.trim();
+  const pass = $("#admin-password").value.trim();
+  const err = $("#admin-error");
+  err.textContent = "";
+  const block = useServer() ? { wait: 0 } : loginBlock("admin", user);
+  if (block.wait) return (err.textContent = loginBlockMessage(block));
+
+  try {
+    if (useServer()) {
+      await signInToServer("admin", { username: user, password: pass });
+      await Promise.all([pullAdminData(), pullElections()]);
+    } else {
+      const record = state.admins[user];
+      if (!record || !(await verifyPassword(pass, record.password))) throw new Error("Invalid admin credentials.");
+    }
+  } catch (e) {
+    audit("admin.login_failed", { username: user }, ANONYMOUS);
+    if (!useServer()) recordLoginFailure("admin", user);
+    return (err.textContent = e.message);
+  }
+  if (!useServer()) clearLoginFailures("admin", user);
+  audit("admin.login", {}, { role: "admin", actor: user });
+  await startAdminSession(user);
+  toast("Admin logged in.", "success");
+}
+
+function validateAdminCredentials(user, pass) {
+  if (user.length < 3) return "Username must be at least 3 characters.";
+  if (!/^[A-Za-z0-9_]+$/.test(user)) return "Only letters, numbers, and underscore allowed.";
+  if (pass.length < 8) return "Admin passwords must be at least 8 characters.";
+  return "";
+}
+
+async function setupFirstAdmin() {
+  const user = $("#setup-username").value.trim();
+  const pass = $("#setup-password").value;
+  const confirmPass = $("#setup-password-confirm").value;
+  const err = $("#setup-error");
+  err.textContent = "";
+
+  if (hasAdmins()) return showAdminLogin();
+  const problem = validateAdminCredentials(user, pass);
+  if (problem) return (err.textContent = problem);
+  if (pass !== confirmPass) return (err.textContent = "Passwords do not match.");
+
+  if (useServer()) {
+    try {
+      await signInToServer("setup", { username: user, password: pass });
+      state.serverHasAdmins = true;
+      await pullAdminData();
+    } catch (e) {
+      return (err.textContent = e.message);
+    }
+  } else {
+    state.admins[user] = { password: await hashPassword(pass), createdAt: Date.now() };
+    persist("admins");
+  }
+  audit("admin.setup", {}, { role: "admin", actor: user });
+  await startAdminSession(user);
+  toast("Admin account created.", "success");
+}
+
+async function addAdmin() {
+  const userEl = $("#new-admin-username");
+  const passEl = $("#new-admin-password");
+  const user = userEl.value.trim();
+  const pass = passEl.value;
+  const problem = validateAdminCredentials(user, pass);
+  if (problem) return toast(problem, "warn");
+  if (adminAccounts()[user]) return toast("That admin already exists.", "warn");
+
+  if (useServer()) {
+    try {
+      state.serverAdmins = (await api("POST", "/api/admins", { username: user, password: pass }, "admin")).admins;
+    } catch (err) {
+      return toast(err.message, "error");
+    }
+  } else {
+    state.admins[user] = { password: await hashPassword(pass), createdAt: Date.now() };
+    persist("admins");
+  }
+  audit("admin.added", { username: user });
+  userEl.value = "";
+  passEl.value = "";
+  renderAdminAccounts();
+  toast(`Admin ${user} added.`, "success");
+}
+
+async function removeAdmin(user) {
+  if (user === state.admin) return toast("You can't remove your own account.", "warn");
+  if (Object.keys(adminAccounts()).length <= 1) return toast("At least one admin must remain.", "warn");
+  if (!confirm(`Remove admin ${user}?`)) return;
+  if (useServer()) {
+    try {
+      state.serverAdmins = (await api("DELETE", `/api/admins/${encodeURIComponent(user)}`, undefined, "admin")).admins;
+    } catch (err) {
+      return toast(err.message, "error");
+    }
+  } else {
+    delete state.admins[user];
+    persist("admins");
+  }
+  audit("admin.removed", { username: user });
+  renderAdminAccounts();
+  toast(`Admin ${user} removed.`, "success");
+}
+
+async function changeAdminPassword() {
+  const curEl = $("#admin-current-password");
+  const nextEl = $("#admin-new-password");
+  if (useServer()) {
+    if (nextEl.value.length < 8) return toast("Admin passwords must be at least 8 characters.", "warn");
+    try {
+      await api("PUT", "/api/admins/me/password", { current: curEl.value, next: nextEl.value }, "admin");
+    } catch (err) {
+      return toast(err.message, "error");
+    }
+  } else {
+    const record = state.admins[state.admin];
+    if (!record || !(await verifyPassword(curEl.value, record.password)))
+      return toast("Current password is incorrect.", "error");
+    if (nextEl.value.length < 8) return toast("Admin passwords must be at least 8 characters.", "warn");
+    record.password = await hashPassword(nextEl.value);
+    persist("admins");
+  }
+  audit("admin.password_changed");
+  curEl.value = "";
+  nextEl.value = "";
+  toast("Password changed.", "success");
+}
+
+function logoutAdmin() {
+  audit("admin.logout");
+  endAdminSession();
+  showAdminLogin();
+  toast("Admin logged out.");
+}
+
+// Signs the admin out quietly; a voter working in this tab stays where they are
+function endAdminSession() {
+  if (ls.rawGet(SESSION_KEYS.admin)) signOutOfServer("admin");
+  ls.del(SESSION_KEYS.admin);
+  state.admin = null;
+  if (!$("#view-vote").classList.contains("active")) showAdminLogin();
+}
+
+// ---------- Voter roll ----------
+/**
+ * The roll lists who may register: { identifier: { addedAt, codeHash,
+ * invitedAt, usedBy, usedAt } }. Only a hash of each invite code is kept, so
+ * codes can be read once, when they are generated. While the roll is empty
+ * anyone can register.
+ */
+function rollEntries() {
+  return useServer() ? state.serverRoll : state.roll;
+}
+
+// IDs or email addresses, compared case-insensitively
+function normalizeRollId(id) {
+  return String(id || "").trim().toLowerCase();
+}
+
+// One identifier per line; from a CSV only the first column is used
+function parseRollList(text) {
+  const ids = text
+    .split(/\r?\n/)
+    .map((line) => normalizeRollId(line.split(/[,;\t]/)[0].replace(/^"|"$/g, "")))
+    .filter((id) => id && id !== "identifier");
+  return [...new Set(ids)];
+}
+
+/**
+ * Whether `user` may see and vote in `el`. Restricted elections are open to
+ * accounts registered with an invite for one of their roll entries. The
+ * server does this filtering itself, so in server mode anything listed is.
+ */
+function canVoteIn(user, el) {
+  if (!el || !Array.isArray(el.eligible) || useServer()) return true;
+  const account = state.users[user];
+  return !!(account && state.roll[account.rollId] && el.eligible.includes(account.rollId));
+}
+
+// Roll identifier whose invite code this is, or null
+async function findInvite(code) {
+  const hash = await sha256Hex(normalizeCode(code));
+  return Object.keys(state.roll).find((id) => state.roll[id].codeHash === hash) || null;
+}
+
+async function saveRoll(roll) {
+  if (!useServer()) {
+    state.roll = roll;
+    return persist("roll");
+  }
+  state.serverRoll = (await api("PUT", "/api/roll", { roll }, "admin")).roll;
+}
+
+async function addToRoll(ids) {
+  const roll = { ...rollEntries() };
+  const added = ids.filter((id) => !roll[id]);
+  if (!added.length) return toast("Everyone listed is already on the roll.", "warn");
+  added.forEach((id) => (roll[id] = { addedAt: Date.now(), codeHash: null, invitedAt: null, usedBy: null, usedAt: null }));
+  try {
+    await saveRoll(roll);
+  } catch (err) {
+    return toast(err.message, "error");
+  }
+  audit("roll.updated", { added: added.length });
+  renderRoll();
+  toast(`${added.length} added to the voter roll.`, "success");
+}
+
+async function removeFromRoll(id) {
+  const entry = rollEntries()[id];
+  if (!entry) return;
+  const note = entry.usedBy ? `\n${entry.usedBy} keeps their account but can no longer vote in restricted elections.` : "";
+  if (!confirm(`Remove ${id} from the voter roll?${note}`)) return;
+  const roll = { ...rollEntries() };
+  delete roll[id];
+  try {
+    await saveRoll(roll);
+  } catch (err) {
+    return toast(err.message, "error");
+  }
+  audit("roll.updated", { removed: id });
+  renderRoll();
+  renderVoteOptions();
+}
+
+/**
+ * Gives an invite code to everyone on the roll who hasn't had one, or when
+ * all have, replaces the codes of those who haven't registered yet. The
+ * codes are downloaded as CSV; that file is the only copy of them.
+ */
+async function generateInviteCodes() {
+  const roll = { ...rollEntries() };
+  const unused = Object.keys(roll).filter((id) => !roll[id].usedBy).sort();
+  if (!unused.length) return toast("Everyone on the roll has registered.", "warn");
+  let targets = unused.filter((id) => !roll[id].codeHash);
+  if (!targets.length) {
+    if (!confirm(`Issue new codes to the ${unused.length} people who haven't registered? Their old codes stop working.`)) return;
+    targets = unused;
+  }
+  const rows = [["identifier", "invite_code"]];
+  for (const id of targets) {
+    const code = generateCode("IN");
+    roll[id] = { ...roll[id], codeHash: await sha256Hex(normalizeCode(code)), invitedAt: Date.now() };
+    rows.push([id, code]);
+  }
+  try {
+    await saveRoll(roll);
+  } catch (err) {
+    return toast(err.message, "error");
+  }
+  audit("roll.updated", { invited: targets.length });
+  downloadFile("votex-invite-codes.csv", rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n", "text/csv");
+  renderRoll();
+  toast(`${targets.length} invite codes generated. Keep the file safe.`, "success");
+}
+
+// Limits the current election to the listed roll identifiers; none means everyone
+async function saveEligibility() {
+  const el = currentElection();
+  if (!el) return;
+  const ids = parseRollList($("#eligible-input")?.value || "");
+  const unknown = ids.filter((id) => !rollEntries()[id]);
+  if (unknown.length) {
+    return toast(`Not on the voter roll: ${unknown.slice(0, 5).join(", ")}${unknown.length > 5 ? "…" : ""}`, "warn");
+  }
+  el.eligible = ids.length ? ids.sort() : null;
+  await saveElection(el);
+  renderAdmin();
+  toast(ids.length ? `Voting limited to ${ids.length} people on the roll.` : "Everyone can vote in this election.", "success");
+}
+
+// ---------- Voter accounts ----------
+/**
+ * One row per voter for the admin table. Passwords, face data and passkeys
+ * never leave their stores; the row only says whether they exist.
+ */
+function voterRows() {
+  const el = currentElection();
+  const accounts = useServer() ? state.serverUsers : state.users;
+  return Object.keys(accounts).sort().map((name) => {
+    const account = typeof accounts[name] === "object" ? accounts[name] : {};
+    return {
+      name,
+      rollId: account.rollId || null,
+      createdAt: account.createdAt || null,
+      disabled: !!account.disabled,
+      mustChangePassword: !!account.mustChangePassword,
+      mustEnrollFace: !!account.mustEnrollFace,
+      face: useServer() ? !!account.faceEnrolled : !!state.faceDescriptors[name],
+      passkeys: useServer() ? account.passkeys || 0 : passkeysOf(name).length,
+      locked: useServer() ? !!account.locked : !!lockoutEntries()[`user:${name}`],
+      voted: !!el && el.voters.includes(name),
+    };
+  });
+}
+
+// Accounts from before password hashing are plain strings; they get the
+// same upgrade a login would give them before an admin can flag them
+async function userRecord(name) {
+  if (typeof state.users[name] === "string") {
+    state.users[name] = { password: await hashPassword(state.users[name]), createdAt: Date.now() };
+  }
+  return state.users[name];
+}
+
+// A voter signed in on this browser is signed out quietly; the admin stays where they are
+function dropLocalSession(name) {
+  if (state.user !== name) return;
+  state.user = null;
+  ls.del(SESSION_KEYS.user);
+}
+
+async function setUserDisabled(name, disabled) {
+  if (useServer()) {
+    state.serverUsers = (await api("POST", `/api/users/${name}/disabled`, { disabled }, "admin")).users;
+  } else {
+    const record = await userRecord(name);
+    if (disabled) record.disabled = true;
+    else delete record.disabled;
+    await persist("users");
+    if (disabled) dropLocalSession(name);
+    audit(disabled ? "voter.disabled" : "voter.enabled", { username: name });
+  }
+  toast(`${name} ${disabled ? "disabled" : "enabled"}.`, "success");
+}
+
+// Sets a one-time temporary password the voter must replace at sign-in
+async function resetUserPassword(name) {
+  if (!confirm(`Reset ${name}'s password? Their current password stops working.`)) return;
+  let password;
+  if (useServer()) {
+    const res = await api("POST", `/api/users/${name}/password`, {}, "admin");
+    state.serverUsers = res.users;
+    password = res.password;
+  } else {
+    password = generateCode("PW");
+    const record = await userRecord(name);
+    record.password = await hashPassword(password);
+    record.mustChangePassword = true;
+    delete state.loginAttempts[`user:${name}`];
+    await persist("users", "loginAttempts");
+    audit("voter.password_reset", { username: name });
+  }
+  const notice = $("#user-notice");
+  if (notice) {
+    notice.textContent = `Temporary password for ${name}: ${password}. Give it to them privately; ` +
+      "they must choose a new one when they sign in.";
+  }
+}
+
+// Clears a bad face enrollment; the voter scans again at their next sign-in
+async function resetUserFace(name) {
+  if (!confirm(`Clear ${name}'s face enrollment? They'll scan their face again at their next sign-in.`)) return;
+  if (useServer()) {
+    state.serverUsers = (await api("POST", `/api/users/${name}/face`, {}, "admin")).users;
+  } else {
+    (await userRecord(name)).mustEnrollFace = true;
+    audit("voter.face_reset", { username: name });
+  }
+  delete state.faceDescriptors[name];
+  delete state.faceEnrollments[name];
+  delete state.faceAttempts[name];
+  await persist("users", "faceDescriptors", "faceEnrollments", "faceAttempts");
+  toast(`${name} will re-enroll their face at next sign-in.`, "success");
+}
+
+/**
+ * Deletes an account with its face data and passkey. Ballots are anonymous
+ * and stay counted, and the name stays in each election's voter list so a
+ * new account with the same name can't vote twice. A roll entry the account
+ * used is freed so its owner can be invited again.
+ */
+async function deleteUser(name) {
+  if (!confirm(`Delete ${name}? Ballots they already cast stay counted.`)) return;
+  if (useServer()) {
+    state.serverUsers = (await api("DELETE", `/api/users/${name}`, undefined, "admin")).users;
+    state.serverRoll = (await api("GET", "/api/roll", undefined, "admin")).roll;
+  } else {
+    const rollId = state.users[name] && state.users[name].rollId;
+    if (state.roll[rollId]) Object.assign(state.roll[rollId], { codeHash: null, invitedAt: null, usedBy: null, usedAt: null });
+    delete state.users[name];
+    delete state.biometrics[name];
+    delete state.loginAttempts[`user:${name}`];
+    await persist("users", "roll", "biometrics", "loginAttempts");
+    dropLocalSession(name);
+    audit("voter.deleted", { username: name });
+  }
+  delete state.faceDescriptors[name];
+  delete state.faceEnrollments[name];
+  delete state.faceAttempts[name];
+  await persist("faceDescriptors", "faceEnrollments", "faceAttempts");
+  toast(`${name} deleted.`, "success");
+}
+
+const VOTER_ACTIONS = {
+  unlock: (name) => unlockLogin(`user:${name}`),
+  disable: (name) => setUserDisabled(name, true),
+  enable: (name) => setUserDisabled(name, false),
+  password: resetUserPassword,
+  face: resetUserFace,
+  delete: deleteUser,
+};
+
+async function runVoterAction(action, name) {
+  try {
+    await VOTER_ACTIONS[action](name);
+  } catch (err) {
+    toast(err.message, "error");
+  }
+  renderVoterTable();
+  renderRoll();
+  renderAnalytics();
+}
+
+// ---------- Passkeys (WebAuthn) ----------
+/*
+ * Passkeys are checked the way a WebAuthn server checks them: the public key
+ * is taken from the attestation when one is added, and every sign-in has to
+ * be signed over a fresh challenge, for this site, with a sign counter that
+ * moves forward. The checks live in webauthn.js, which the VoteX server runs
+ * too.
+ */
+const PASSKEY_TIMEOUT_MS = 60000;
+let passkeyChallenge = null; // { value, type, expires } while the browser prompt is open
+
+// A voter's passkeys; entries from before verification were a bare id and are ignored
+function passkeysOf(username) {
+  const passkeys = state.biometrics[username];
+  return Array.isArray(passkeys) ? passkeys : [];
+}
+
+function findPasskey(id) {
+  for (const username of Object.keys(state.biometrics)) {
+    const passkey = passkeysOf(username).find((p) => p.id === id);
+    if (passkey) return { username, passkey };
+  }
+  return null;
+}
+
+// The credential's buffers as base64url, which is also what the server takes
+function encodeCredential(credential) {
+  const encoded = { id: toBase64Url(credential.rawId) };
+  ["clientDataJSON", "attestationObject", "authenticatorData", "signature", "userHandle"].forEach((field) => {
+    const value = credential.response[field];
+    if (value) encoded[field] = toBase64Url(value);
+  });
+  return encoded;
+}
+
+function decodeCredential(encoded, fields) {
+  const decoded = {};
+  fields.forEach((field) => {
+    if (!encoded[field]) throw new Error("Incomplete passkey response.");
+    decoded[field] = fromBase64Url(encoded[field]);
+  });
+  return decoded;
+}
+
+function issuePasskeyChallenge(type) {
+  const value = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  passkeyChallenge = { value, type, expires: Date.now() + PASSKEY_TIMEOUT_MS };
+  return value;
+}
+
+// Each challenge is good for one attempt
+function takePasskeyChallenge(type) {
+  const pending = passkeyChallenge;
+  passkeyChallenge = null;
+  if (!pending || pending.type !== type || pending.expires < Date.now()) {
+    throw new Error("This passkey request has expired. Please try again.");
+  }
+  return { challenge: pending.value, origin: location.origin, rpId: location.hostname };
+}
+
+/**
+ * Adds a passkey for the signed-in voter. A voter can have one per device;
+ * they are discoverable, so signing in doesn't need the username.
+ */
+async function registerBiometrics() {
+  if (!window.PublicKeyCredential) return toast("Passkeys are not supported on this browser.", "error");
+  if (!state.user) return;
+  const username = state.user;
+
+  try {
+    const options = useServer()
+      ? await api("POST", "/api/passkeys/register/options", {}, "user")
+      : {
+          challenge: issuePasskeyChallenge("webauthn.create"),
+          userHandle: passkeysOf(username).length
+            ? passkeysOf(username)[0].userHandle
+            : toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+          algs: PasskeyChecks.PASSKEY_ALGS,
+          excludeCredentials: passkeysOf(username).map((p) => p.id),
+        };
+
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        challenge: fromBase64Url(options.challenge),
+        rp: { name: "VoteX", id: location.hostname },
+        user: { id: fromBase64Url(options.userHandle), name: username, displayName: username },
+        pubKeyCredParams: options.algs.map((alg) => ({ alg, type: "public-key" })),
+        excludeCredentials: options.excludeCredentials.map((id) => ({ id: fromBase64Url(id), type: "public-key" })),
+        authenticatorSelection: { residentKey: "preferred", requireResidentKey: false, userVerification: "required" },
+        attestation: "none",
+        timeout: PASSKEY_TIMEOUT_MS,
+      },
+    });
+    if (!credential) return;
+    const response = encodeCredential(credential);
+
+    if (useServer()) {
+      await api("POST", "/api/passkeys/register", response, "user");
+    } else {
+      const expected = takePasskeyChallenge("webauthn.create");
+      const passkey = await PasskeyChecks.verifyRegistration(decodeCredential(response, ["clientDataJSON", "attestationObject"]), expected);
+      if (findPasskey(passkey.id)) throw new Error("This passkey is already registered.");
+      state.biometrics[username] = [
+        ...passkeysOf(username),
+        { ...passkey, userHandle: options.userHandle, createdAt: Date.now(), lastUsedAt: null },
+      ];
+      await persist("biometrics");
+      audit("voter.passkey_added", {}, { role: "voter", actor: username });
+    }
+    toast("Passkey added. You can use it to sign in.", "success");
+  } catch (err) {
+    console.error(err);
+    toast("Failed to add a passkey: " + err.message, "error");
+  }
+}
+
+// Runs the server's checks on this browser's own passkeys; returns the voter it belongs to
+async function checkPasskey(response, username) {
+  const expected = takePasskeyChallenge("webauthn.get");
+  const found = findPasskey(response.id);
+  if (!found || !state.users[found.username]) throw new Error("This passkey isn't registered.");
+  if (username && username !== found.username) throw new Error("This passkey belongs to another account.");
+  if (response.userHandle && response.userHandle !== found.passkey.userHandle) {
+    throw new Error("This passkey belongs to another account.");
+  }
+  if (isDisabled(found.username)) throw new Error("This account has been disabled.");
+  const fields = ["clientDataJSON", "authenticatorData", "signature"];
+  const { signCount } = await PasskeyChecks.verifyAssertion(decodeCredential(response, fields), expected, found.passkey);
+  Object.assign(found.passkey, { signCount, lastUsedAt: Date.now() });
+  persist("biometrics");
+  return found.username;
+}
+
+/**
+ * Asks the browser for a passkey and checks it. An empty username lets the
+ * browser offer every passkey it holds for this site. Returns { user,
+ * account }; with a server the voter also gets a new session.
+ */
+async function passkeyAssertion(username) {
+  const options = useServer()
+    ? await api("POST", "/api/passkeys/login/options", { username })
+    : {
+        challenge: issuePasskeyChallenge("webauthn.get"),
+        allowCredentials: username ? passkeysOf(username).map((p) => p.id) : [],
+      };
+
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      challenge: fromBase64Url(options.challenge),
+      rpId: location.hostname,
+      allowCredentials: options.allowCredentials.map((id) => ({ id: fromBase64Url(id), type: "public-key" })),
+      userVerification: "required",
+      timeout: PASSKEY_TIMEOUT_MS,
+    },
+  });
+  if (!credential) throw new Error("No passkey was chosen.");
+  const response = encodeCredential(credential);
+  if (!useServer()) {
+    const user = await checkPasskey(response, username);
+    return { user, account: state.users[user] };
+  }
+  const account = await signInToServer("passkey", response);
+  return { user: account.username, account };
+}
+
+async function loginWithBiometrics() {
+  if (!window.PublicKeyCredential) return toast("Passkeys are not supported on this browser.", "error");
+  const username = $("#login-username").value.trim();
+  if (username && !useServer() && !passkeysOf(username).length) {
+    return toast("No passkey registered for this user.", "warn");
+  }
+
+  try {
+    const { user, account } = await passkeyAssertion(username);
+    if (useServer()) await pullElections();
+    continueLogin({ user, account, method: "biometrics", greeting: `Welcome back, ${user}! (Passkey)` });
+  } catch (err) {
+    console.error(err);
+    audit("voter.login_failed", { username: username || null, method: "biometrics", reason: err.message }, ANONYMOUS);
+    toast("Passkey sign-in failed: " + err.message, "error");
   }
 }
 
 async function loginWithFace() {
   const username = $("#login-username").value.trim();
   if (!username) return toast("Please enter your username first.", "warn");
-  if (!state.faceEnrollments[username]) return toast("Face login not enabled for this user.", "warn");
+  // The server only accepts a password; the face check can't vouch for the device
+  if (useServer()) return toast("Sign in with your password when using a VoteX server.", "warn");
+  const block = loginBlock("user", username);
+  if (block.wait) return ($("#login-error").textContent = loginBlockMessage(block));
+  if (!state.faceEnrollments[username] || !state.faceDescriptors[username])
+    return toast("Face login not enabled for this user.", "warn");
+  if (isDisabled(username)) return toast("This account has been disabled.", "error");
+
+  verifyFaceFor(
+    username,
+    () => {
+      clearLoginFailures("user", username);
+      continueLogin({
+        user: username,
+        account: state.users[username],
+        method: "face",
+        greeting: `Welcome back, ${username}! (Face Login)`,
+      });
+    },
+    () => recordLoginFailure("user", username)
+  );
+}
+
+// ---------- Face Recognition ----------
+const FACE_MODELS_URL = "https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.15/model/"; // same version as models/
+
+// Where face model weights can come from; the admin picks the fallback order
+const FACE_MODEL_SOURCES = {
+  local: { label: "bundled models", url: "models/" },
+  cdn: { label: "jsDelivr CDN", url: FACE_MODELS_URL },
+};
+
+// Only the nets the app actually runs
+const FACE_NETS = ["tinyFaceDetector", "faceLandmark68Net", "faceRecognitionNet"];
+
+// The service worker keeps model files in Cache Storage after first use
+async function isModelSourceCached(url) {
+  if (!window.caches) return false;
+  const manifest = new URL(url + "tiny_face_detector_model-weights_manifest.json", location.href).href;
+  return !!(await caches.match(manifest));
+}
+
+async function loadModels() {
+  const status = $("#faceStatus");
+  if (state.modelsLoaded) return;
+  let lastErr = null;
+  for (const key of state.config.modelSources) {
+    const source = FACE_MODEL_SOURCES[key];
+    if (!source) continue;
+    try {
+      if (status) status.textContent = `Loading AI models from ${source.label}...`;
+      const cached = await isModelSourceCached(source.url);
+      await Promise.all(FACE_NETS.map((net) => faceapi.nets[net].loadFromUri(source.url)));
+      state.modelsLoaded = true;
+      state.modelSource = source.label + (cached ? " (cached)" : "");
+      if (status) status.textContent = `AI models ready — using ${state.modelSource}.`;
+      console.log(`Face models loaded from ${state.modelSource}.`);
+      return;
+    } catch (err) {
+      console.warn(`Face models unavailable from ${source.label}:`, err);
+      lastErr = err;
+    }
+  }
+  if (status) status.textContent = "Error loading AI models from every configured source.";
+  throw lastErr || new Error("No face model source configured."); // Re-throw to handle in caller
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !location.protocol.startsWith("http")) return;
+  navigator.serviceWorker.register("sw.js").catch((err) => console.warn("Service worker registration failed:", err));
+}
+
+const FACE_ENROLL_SAMPLES = 3;
+
+function averageDescriptors(list) {
+  const avg = new Float32Array(list[0].length);
+  list.forEach((d) => d.forEach((v, i) => (avg[i] += v / list.length)));
+  return avg;
+}
+
+function faceLockRemaining(username) {
+  const rec = state.faceAttempts[username];
+  return rec && rec.lockedUntil > Date.now() ? rec.lockedUntil - Date.now() : 0;
+}
+
+function recordFaceMismatch(username) {
+  const { faceMaxAttempts, faceLockoutMinutes } = state.config;
+  const rec = state.faceAttempts[username] || { failures: 0, lockedUntil: 0 };
+  rec.failures += 1;
+  if (rec.failures >= faceMaxAttempts) {
+    rec.failures = 0;
+    rec.lockedUntil = Date.now() + faceLockoutMinutes * 60000;
+  }
+  state.faceAttempts[username] = rec;
+  persist("faceAttempts");
+  const who = { role: "voter", actor: username };
+  if (rec.lockedUntil > Date.now()) audit("face.lockout", { minutes: faceLockoutMinutes }, who);
+  else audit("face.mismatch", { failures: rec.failures }, who);
+  return rec;
+}
+
+/**
+ * Scans a face and compares it with `username`'s enrolled descriptor.
+ * `onMatch` only runs when the distance is within the configured threshold,
+ * `onMismatch` after each miss; repeated mismatches lock face verification
+ * for that user for a while.
+ */
+function verifyFaceFor(username, onMatch, onMismatch) {
+  const stored = state.faceDescriptors[username];
+  if (!stored) return toast("No face is enrolled for this account.", "error");
+  const locked = faceLockRemaining(username);
+  if (locked) return toast(`Too many failed face checks. Try again in ${formatDuration(locked)}.`, "error");
+
+  startFaceVerification((descriptor) => {
+    const distance = faceapi.euclideanDistance(descriptor, stored);
+    if (distance <= state.config.faceMatchThreshold) {
+      delete state.faceAttempts[username];
+      persist("faceAttempts");
+      onMatch();
+      return;
+    }
+    const rec = recordFaceMismatch(username);
+    if (onMismatch) onMismatch();
+    if (rec.lockedUntil > Date.now()) {
+      toast(`Face did not match. Face verification locked for ${state.config.faceLockoutMinutes} min.`, "error");
+    } else {
+      toast(`Face did not match (attempt ${rec.failures} of ${state.config.faceMaxAttempts}).`, "error");
+    }
+  });
+}
+
+// ---------- Liveness ----------
+const LIVENESS_TIMEOUT_MS = 20000;
+
+function eyeAspectRatio(eye) {
+  const d = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  return (d(eye[1], eye[5]) + d(eye[2], eye[4])) / (2 * d(eye[0], eye[3]));
+}
+
+// Nose tip position between the two ends of the jaw line: ~0.5 when facing
+// the camera, growing as the head turns towards the subject's left
+function headYaw(points) {
+  return (points[30].x - points[0].x) / (points[16].x - points[0].x);
+}
+
+/**
+ * Picks a random liveness challenge. `update(points)` takes one frame of
+ * 68-point landmarks and returns progress from 0 to 1 (1 = passed). A
+ * printed or on-screen photo can neither blink nor turn away and back.
+ */
+function createLivenessChallenge() {
+  const kinds = ["blink", "turnLeft", "turnRight"];
+  const kind = kinds[crypto.getRandomValues(new Uint8Array(1))[0] % kinds.length];
+
+  if (kind === "blink") {
+    let baseline = 0;
+    let openFrames = 0;
+    let closed = false;
+    return {
+      prompt: "Blink slowly",
+      update(points) {
+        const ear = (eyeAspectRatio(points.slice(36, 42)) + eyeAspectRatio(points.slice(42, 48))) / 2;
+        if (!closed) {
+          // Learn this face's open-eye ratio before looking for a dip
+          if (openFrames < 3 || ear > baseline * 0.85) {
+            baseline = Math.max(baseline, ear);
+            openFrames += 1;
+          } else if (ear < baseline * 0.7) {
+            closed = true;
+          }
+          return openFrames >= 3 ? (closed ? 0.66 : 0.33) : 0.1 * openFrames;
+        }
+        return ear > baseline * 0.85 ? 1 : 0.66;
+      },
+    };
+  }
+
+  const dir = kind === "turnLeft" ? 1 : -1;
+  let centered = false;
+  return {
+    prompt: kind === "turnLeft" ? "Turn your head to the left" : "Turn your head to the right",
+    update(points) {
+      const yaw = (headYaw(points) - 0.5) * dir;
+      if (!centered) {
+        centered = Math.abs(yaw) < 0.08;
+        return centered ? 0.3 : 0;
+      }
+      return Math.min(1, 0.3 + Math.max(0, yaw) / 0.17 * 0.7);
+    },
+  };
+}
+
+/**
+ * Draws the face box, eye landmarks, the current prompt and a progress
+ * bar on the #overlay canvas above the video.
+ */
+function drawLivenessOverlay(canvas, { box, points, prompt, progress }) {
+  if (!canvas || !canvas.getContext) return;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  const done = progress >= 1;
+
+  if (box) {
+    ctx.strokeStyle = done ? "#22c55e" : "#6c8dff";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+  }
+  if (points) {
+    ctx.fillStyle = "#f59e0b";
+    [...points.slice(36, 48), points[30]].forEach((p) => ctx.fillRect(p.x - 1.5, p.y - 1.5, 3, 3));
+  }
+
+  ctx.fillStyle = "rgba(0, 0, 0, .55)";
+  ctx.fillRect(0, 0, width, 26);
+  ctx.fillStyle = "#fff";
+  ctx.font = "600 13px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  ctx.fillText(done ? "Liveness confirmed" : prompt, width / 2, 17);
+
+  ctx.fillStyle = "rgba(255, 255, 255, .25)";
+  ctx.fillRect(10, height - 12, width - 20, 6);
+  ctx.fillStyle = done ? "#22c55e" : "#6c8dff";
+  ctx.fillRect(10, height - 12, (width - 20) * Math.min(1, progress), 6);
+}
+
+function clearOverlay() {
+  const canvas = $("#overlay");
+  const ctx = canvas && canvas.getContext && canvas.getContext("2d");
+  if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+}
+
+let videoStream = null;
+
+/**
+ * Opens the camera modal and hands the face descriptor to `onSuccess`.
+ * When liveness is required the user must pass a challenge first. With
+ * `samples` > 1, that many detections are captured and averaged.
+ */
+async function startFaceVerification(onSuccess, { samples = 1 } = {}) {
+  const modal = $("#faceModal");
+  const video = $("#video");
+  const status = $("#faceStatus");
+  const overlay = $("#overlay");
+  modal.classList.remove("hidden");
+
+  try {
+    await loadModels();
+  } catch {
+    toast("Face models could not be loaded. Check the model sources in the admin panel.", "error");
+    return stopFaceVerification();
+  }
+
+  try {
+    if (status) status.textContent = `Initializing camera... (models: ${state.modelSource})`;
+    videoStream = await navigator.mediaDevices.getUserMedia({
+      video: { width: 320, height: 240, facingMode: "user" }
+    });
+    video.srcObject = videoStream;
+
+    // Explicitly play and wait
+    try {
+      await video.play();
+    } catch (e) {
+      console.warn("Autoplay was blocked, user gesture might be needed", e);
+    }
+
+    if (status) status.textContent = "Scanning face... Focus!";
+
+    if (overlay) {
+      overlay.width = video.width;
+      overlay.height = video.height;
+    }
+    const liveness = state.config.requireLiveness ? createLivenessChallenge() : null;
+    const startedAt = Date.now();
+    let alive = !liveness;
+    let verified = false;
+    const captured = [];
+    const next = (delay) => setTimeout(() => {
+      if (videoStream) requestAnimationFrame(checkFace);
+    }, delay);
+
+    const checkLiveness = async (options) => {
+      if (Date.now() - startedAt > LIVENESS_TIMEOUT_MS) {
+        stopFaceVerification();
+        return toast("Liveness check timed out. Please try again.", "error");
+      }
+      // Landmarks only: skipping the descriptor keeps the frame rate high
+      // enough to catch a blink
+      const result = await faceapi.detectSingleFace(video, options).withFaceLandmarks();
+      if (!result) {
+        drawLivenessOverlay(overlay, { prompt: "Position your face in view", progress: 0 });
+        status.textContent = "Scanning... (Position your face clearly)";
+        return next(50);
+      }
+      const points = result.landmarks.positions;
+      const progress = liveness.update(points);
+      drawLivenessOverlay(overlay, { box: result.detection.box, points, prompt: liveness.prompt, progress });
+      if (progress >= 1) {
+        alive = true;
+        status.textContent = "Liveness confirmed ✅ Hold still...";
+        return next(300);
+      }
+      status.textContent = `${liveness.prompt}...`;
+      next(30);
+    };
+
+    const checkFace = async () => {
+      if (!videoStream || verified) return;
+
+      try {
+        // Switch back to TinyFaceDetector for much better real-time performance
+        const options = new faceapi.TinyFaceDetectorOptions({ inputSize: 160, scoreThreshold: 0.4 });
+        if (!alive) return await checkLiveness(options);
+        const detections = await faceapi.detectSingleFace(video, options)
+          .withFaceLandmarks()
+          .withFaceDescriptor();
+
+        if (detections && captured.length + 1 < samples) {
+          captured.push(detections.descriptor);
+          status.textContent = `Captured sample ${captured.length} of ${samples}... hold still`;
+          setTimeout(() => {
+            if (videoStream) requestAnimationFrame(checkFace);
+          }, 400);
+        } else if (detections) {
+          captured.push(detections.descriptor);
+          verified = true;
+          status.textContent = "Face detected! Stable... ✅";
+          setTimeout(() => {
+            stopFaceVerification();
+            onSuccess(averageDescriptors(captured));
+          }, 1000);
+        } else {
+          status.textContent = "Scanning... (Position your face clearly)";
+          // Small delay before next check to keep UI responsive
+          setTimeout(() => {
+            if (videoStream) requestAnimationFrame(checkFace);
+          }, 100);
+        }
+      } catch (e) {
+        console.error("Detection error:", e);
+        if (videoStream) requestAnimationFrame(checkFace);
+      }
+    };
+
+    checkFace();
+
+  } catch (err) {
+    console.error(err);
+    toast("Camera access denied or failed.", "error");
+    stopFaceVerification();
+  }
+}
+
+function stopFaceVerification() {
+  const modal = $("#faceModal");
+  modal.classList.add("hidden");
+  clearOverlay();
+  if (videoStream) {
+    videoStream.getTracks().forEach(track => track.stop());
+    videoStream = null;
+  }
+}
+
+// ---------- Voting ----------
+// Voters of a shared server only learn about themselves, through `voted`
+function hasUserVoted(u, el = currentElection()) {
+  if (!el) return false;
+  return Array.isArray(el.voters) ? el.voters.includes(u) : !!el.voted;
+}
+
+/**
+ * Casts a ballot in the current election. `option` is a single option id for
+ * plurality elections, a preference-ordered array of ids for ranked ones, or
+ * the ticked ones for approval ones. The voter reviews it first; `reviewed`
+ * is set once they have confirmed. A changed vote passes the receipt code of
+ * the ballot it replaces as `replaces`.
+ */
+function vote(option, reviewed = false, replaces = null) {
+  const el = currentElection();
+  if (!state.user) return toast("Please login first.", "warn");
+  if (!el || el.archived) return toast("Please choose an election first.", "warn");
+  if (isDisabled(state.user)) return toast("This account has been disabled.", "error");
+  if (!canVoteIn(state.user, el)) return toast("You're not on the voter roll for this election.", "warn");
+  const status = votingStatus(el);
+  if (!status.open) return toast(status.message, "warn");
+  if (hasUserVoted(state.user, el) && !el.settings.allowVoteChange) {
+    return toast("You have already voted!", "warn");
+  }
+  const { ballotType, maxSelections } = el.settings;
+  const ids = optionIds(el);
+  if (ballotType === "single") {
+    if (!ids.includes(option)) return toast("Invalid option.", "error");
+  } else {
+    const valid = Array.isArray(option) && option.length &&
+      new Set(option).size === option.length &&
+      option.every((id) => ids.includes(id));
+    if (!valid) return toast(ballotType === "ranked" ? "Invalid ranking." : "Select at least one option.", "error");
+    if (ballotType === "approval" && maxSelections && option.length > maxSelections)
+      return toast(`You can select at most ${maxSelections} options.`, "warn");
+  }
+
+  if (!reviewed) return reviewBallot(el, option);
+
+  // A sign-in that is too old has to be confirmed first
+  if (el.settings.reauthMinutes && !sessionIsFresh("user", el.settings.reauthMinutes)) {
+    return requestReauth(() => vote(option, true, replaces));
+  }
+
+  // Require face verification
+  if (el.settings.requireFaceCheck) {
+    verifyFaceFor(state.user, () => finalizeVote(option, el, replaces));
+  } else {
+    finalizeVote(option, el, replaces);
+  }
+}
+
+let pendingBallot = null; // { electionId, option } awaiting the voter's confirmation
+// Receipts shown in this tab by voter and election, so changing a vote
+// doesn't mean retyping one. Only kept in memory, and dropped on sign-out.
+let recentReceipts = {};
+
+// Shows the voter what they are about to cast; nothing is recorded until they confirm
+function reviewBallot(el, option) {
+  pendingBallot = { electionId: el.id, option };
+  const ranked = el.settings.ballotType === "ranked";
+  const ids = Array.isArray(option) ? option : [option];
+  $("#review-list").innerHTML = ids
+    .map((id, i) => `
+          <div class="option-btn rank-row">
+            <div style="display:flex;align-items:center;gap:10px">
+              ${ranked ? `<span class="rank-num">${i + 1}</span>` : "<span>✅</span>"}<strong>${sanitize(optionTitle(el, id))}</strong>
+            </div>
+          </div>`)
+    .join("");
+  const replacing = hasUserVoted(state.user, el);
+  $("#review-note").textContent = `${el.title} • ` + (
+    replacing
+      ? "This replaces your earlier ballot; enter its receipt code. Only your latest ballot counts."
+      : el.settings.allowVoteChange
+        ? "You can change your ballot until voting closes with the receipt you get."
+        : "Once cast, your ballot can't be changed."
+  );
+  $("#review-receipt-field").classList.toggle("hidden", !replacing);
+  $("#review-receipt").value = (replacing && recentReceipts[`${state.user}\u0000${el.id}`]) || "";
+  const box = $("#review-box");
+  box.classList.remove("hidden");
+  box.scrollIntoView?.({ block: "nearest", behavior: "smooth" });
+}
+
+function hideReview() {
+  pendingBallot = null;
+  $("#review-box")?.classList.add("hidden");
+  const receipt = $("#review-receipt");
+  if (receipt) receipt.value = "";
+}
+
+function confirmBallot() {
+  const pending = pendingBallot;
+  const replaces = $("#review-receipt-field").classList.contains("hidden") ? null : $("#review-receipt").value.trim();
+  if (pending && replaces !== null && !normalizeCode(replaces)) {
+    return toast("Enter the receipt of the ballot you're replacing.", "warn");
+  }
+  hideReview();
+  if (pending && pending.electionId === state.electionId) vote(pending.option, true, replaces);
+}
+
+// Readable one-time code, e.g. "VX-7KQ2-M9PD-X4TA" (no 0/O/1/I)
+function generateCode(prefix) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.getRandomValues(new Uint8Array(12));
+  const chars = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("");
+  return `${prefix}-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+}
+
+function generateReceiptCode() {
+  return generateCode("VX");
+}
+
+function normalizeCode(code) {
+  return (code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/**
+ * Looks a receipt up across every election. Only the code's hash is stored,
+ * so the ballot can be confirmed without it ever naming the voter.
+ */
+async function findBallotByReceipt(code) {
+  const receipt = await sha256Hex(normalizeCode(code));
+  for (const el of listElections()) {
+    const i = el.log.findIndex(({ ballot }) => ballot && ballot.receipt === receipt);
+    if (i >= 0) return { el, replaced: replacedBallots(el).has(i) };
+  }
+  return null;
+}
+
+async function finalizeVote(option, el = currentElection(), replaces = null) {
+  // The window may have closed while the face check was running
+  const status = votingStatus(el);
+  if (!status.open) {
+    applySchedules();
+    renderVoteView();
+    return toast(status.message, "error");
+  }
+  const choices = Array.isArray(option) ? option.slice() : [option];
+  let code;
+  if (useServer()) {
+    // The server re-checks the window and the one-vote rule, then chains the ballot
+    try {
+      const res = await api("POST", `/api/elections/${el.id}/ballots`, { choices, replaces }, "user");
+      state.elections[el.id] = res.election;
+      code = res.receipt;
+      await pullResults([res.election]);
+    } catch (err) {
+      // The server's clock says the sign-in is too old after all
+      if (err.code === "reauth") return requestReauth(() => finalizeVote(option, el, replaces));
+      await pullElections().catch(() => {});
+      if (state.user) renderVoteView();
+      return toast(err.message, "error");
+    }
+  } else {
+    code = generateReceiptCode();
+    const ballot = { choices, receipt: await sha256Hex(normalizeCode(code)) };
+    const voted = hasUserVoted(state.user, el);
+    // Only the ballot this voter's receipt proof was made with can be replaced
+    const proofs = el.receiptProofs || {};
+    if (voted) {
+      if (!proofs[state.user]) return toast("Your ballot was cast before changes were allowed, so it can't be replaced.", "error");
+      const yours = normalizeCode(replaces) && (await receiptProof(el, state.user, replaces)) === proofs[state.user];
+      ballot.replaces = yours ? await countedBallotIndex(el, replaces) : -1;
+      if (ballot.replaces < 0) return toast("That receipt doesn't match your ballot in this election.", "error");
+    }
+    await appendBallot(el, ballot);
+    if (el.settings.allowVoteChange) el.receiptProofs = { ...proofs, [state.user]: await receiptProof(el, state.user, code) };
+    if (!voted) el.voters = [...el.voters, state.user].sort();
+    recordBallotTime(el);
+    persist("elections");
+  }
+  delete state.ballotDrafts[el.id];
+  recentReceipts[`${state.user}\u0000${el.id}`] = code;
+  renderResultsForUser();
+  renderVoteOptions();
+  showReceipt(code);
+  if (state.admin) renderAdmin();
+  toast("Thanks for your vote! 🗳️", "success");
+}
+
+// ---------- Rendering: User ----------
+function renderElectionPicker() {
+  const select = $("#election-select");
+  if (!select) return;
+  const elections = voterElections();
+  const open = openElections();
+  // Voters land on an open election; closed ones stay pickable for their results
+  if (elections.length && !elections.some((el) => el.id === state.electionId)) {
+    setCurrentElection((open[0] || elections[0]).id);
+  }
+  select.innerHTML = elections
+    .map(
+      (el) =>
+        `<option value="${el.id}"${el.id === state.electionId ? " selected" : ""}>${sanitize(el.title)}${
+          el.settings.votingOpen ? "" : " (closed)"
+        }</option>`
+    )
+    .join("");
+  select.disabled = elections.length < 2;
+
+  const el = currentElection();
+  const title = $("#election-title");
+  const desc = $("#election-desc");
+  if (title) title.textContent = elections.length ? el.title : "No open elections";
+  if (desc) desc.textContent = elections.length ? el.description : "Check back when the next poll opens.";
+  renderCountdown();
+}
+
+function renderCountdown() {
+  const box = $("#vote-countdown");
+  if (!box) return;
+  const el = currentElection();
+  const status = votingStatus(el);
+  if (!voterElections().length || (status.open && !status.remaining)) {
+    box.textContent = "";
+    return;
+  }
+  if (status.phase === "scheduled") {
+    box.textContent = `⏳ Voting opens in ${formatDuration(status.remaining)}`;
+  } else if (status.open) {
+    box.textContent = `⏱️ Voting closes in ${formatDuration(status.remaining)}`;
+  } else {
+    box.textContent = status.message;
+  }
+}
+
+function renderVoteOptions() {
+  const list = $("#vote-options");
+  if (!list) return;
+  list.innerHTML = "";
+  const el = currentElection();
+  const info = $("#user-vote-info");
+  if (info) info.textContent = "";
+  if (!votingStatus(el).open || !canVoteIn(state.user, el)) return;
+  const voted = hasUserVoted(state.user, el);
+  const locked = voted && !el.settings.allowVoteChange;
+  if (el.settings.ballotType === "ranked") renderRankedBallot(list, el, locked);
+  else if (el.settings.ballotType === "approval") renderApprovalBallot(list, el, locked);
+  else renderSingleBallot(list, el, locked);
+
+  if (info) {
+    if (locked) {
+      info.textContent = "You have voted in this election. Use your receipt code below to confirm your ballot was counted.";
+    } else if (voted) {
+      info.textContent = "You have voted. You can change your ballot with your receipt code until voting closes; only your latest one counts.";
+    }
+  }
+}
+
+// Option ids whose details are open, so a re-render keeps them open
+const expandedOptions = new Set();
+
+/**
+ * A candidate card: image, title and the first line of the description,
+ * with a toggle for the full description and link. `lead` is the HTML
+ * before the title, `trail` the HTML on the right.
+ */
+function optionCard(opt, { lead, trail, className = "" }) {
+  const card = document.createElement("div");
+  card.className = `option-btn option-card ${className}`.trim();
+  const hasDetails = !!(opt.description || opt.link);
+  const open = hasDetails && expandedOptions.has(opt.id);
+  card.innerHTML = `
+          <div class="option-main">
+            ${lead}
+            <div style="min-width:0">
+              <strong>${sanitize(opt.title)}</strong>
+              ${opt.description && !open ? `<div class="option-teaser">${sanitize(opt.description)}</div>` : ""}
+            </div>
+          </div>
+          <div class="row" style="gap:6px;flex-wrap:nowrap">
+            ${hasDetails ? `<button class="circle-btn" data-act="details" title="${open ? "Hide details" : "Details"}" style="width:30px;height:30px">${open ? "▴" : "ℹ️"}</button>` : ""}
+            ${trail}
+          </div>`;
+  if (opt.image) {
+    const img = document.createElement("img");
+    img.className = "option-img";
+    img.src = opt.image;
+    img.alt = "";
+    img.loading = "lazy";
+    card.querySelector(".option-main").insertBefore(img, card.querySelector(".option-main > div"));
+  }
+  if (open) {
+    const details = document.createElement("div");
+    details.className = "option-details";
+    details.textContent = opt.description;
+    if (opt.link) {
+      const link = document.createElement("a");
+      link.className = "link";
+      link.href = opt.link;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = "More about this option ↗";
+      details.appendChild(link);
+    }
+    details.addEventListener("click", (e) => e.stopPropagation());
+    card.appendChild(details);
+  }
+  card.querySelector("[data-act=details]")?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (open) expandedOptions.delete(opt.id);
+    else expandedOptions.add(opt.id);
+    renderVoteOptions();
+  });
+  return card;
+}
+
+function renderSingleBallot(list, el, voted) {
+  ballotOrder(el, state.user).forEach((opt) => {
+    const card = optionCard(opt, {
+      lead: "<span>✅</span>",
+      trail: `<div style="font-size:12px;color:var(--muted)">${voted ? "Locked" : "Vote"}</div>`,
+      className: voted ? "disabled" : "",
+    });
+    if (!voted) {
+      card.addEventListener("click", () => vote(opt.id));
+    }
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Ranked ballots are ordered with ↑/↓ controls and submitted in one go.
+ */
+function renderRankedBallot(list, el, voted) {
+  const ids = optionIds(el);
+  let order = state.ballotDrafts[el.id];
+  if (!order || order.length !== ids.length || !order.every((id) => ids.includes(id))) {
+    order = ballotOrder(el, state.user).map((opt) => opt.id);
+  }
+  if (!voted) state.ballotDrafts[el.id] = order;
+
+  const move = (from, to) => {
+    if (to < 0 || to >= order.length) return;
+    const [id] = order.splice(from, 1);
+    order.splice(to, 0, id);
+    renderVoteOptions();
+  };
 
-  startFaceVerification(() => {
-    state.user = username;
-    ls.rawSet("va_userLoggedIn", username);
-    renderVoteView();
-    switchView("#view-vote");
-    toast(`Welcome back, ${username}! (Face Login)`, "success");
+  order.forEach((id, i) => {
+    const row = optionCard(findOption(el, id), {
+      lead: `<span class="rank-num">${i + 1}</span>`,
+      trail: `
+            <button class="circle-btn" data-dir="-1" title="Move up" style="width:30px;height:30px">↑</button>
+            <button class="circle-btn" data-dir="1" title="Move down" style="width:30px;height:30px">↓</button>`,
+      className: "rank-row" + (voted ? " disabled" : ""),
+    });
+    row.querySelectorAll("[data-dir]").forEach((b) =>
+      b.addEventListener("click", () => move(i, i + Number(b.dataset.dir)))
+    );
+    list.appendChild(row);
   });
+
+  if (!voted) {
+    const submit = document.createElement("button");
+    submit.className = "btn";
+    submit.textContent = "Submit ranking";
+    submit.addEventListener("click", () => vote(order.slice()));
+    list.appendChild(submit);
+  }
 }
 
-// ---------- Face Recognition ----------
-const FACE_MODELS_URL = "https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model/"; // Using a reliable model URL
+/**
+ * Approval ballots tick any number of options (up to the election's limit)
+ * and are submitted once.
+ */
+function renderApprovalBallot(list, el, voted) {
+  const max = el.settings.maxSelections;
+  const ids = optionIds(el);
+  const picked = voted ? [] : (state.ballotDrafts[el.id] || []).filter((id) => ids.includes(id));
+  if (!voted) state.ballotDrafts[el.id] = picked;
 
-async function loadModels() {
-  const status = $("#faceStatus");
-  if (state.modelsLoaded) return;
-  try {
-    if (status) status.textContent = "Loading AI models...";
-    const models = [
-      faceapi.nets.tinyFaceDetector.loadFromUri(FACE_MODELS_URL),
-      faceapi.nets.ssdMobilenetv1.loadFromUri(FACE_MODELS_URL),
-      faceapi.nets.faceLandmark68Net.loadFromUri(FACE_MODELS_URL),
-      faceapi.nets.faceRecognitionNet.loadFromUri(FACE_MODELS_URL),
-    ];
-    await Promise.all(models);
-    state.modelsLoaded = true;
-    console.log("Face models loaded successfully.");
-  } catch (err) {
-    console.error("Face-api models failed to load:", err);
-    if (status) status.textContent = "Error loading AI models. Check connection.";
-    throw err; // Re-throw to handle in caller
+  ballotOrder(el, state.user).forEach((opt) => {
+    const on = picked.includes(opt.id);
+    const card = optionCard(opt, {
+      lead: `<span>${on ? "☑️" : "⬜"}</span>`,
+      trail: `<div style="font-size:12px;color:var(--muted)">${voted ? "Locked" : on ? "Selected" : "Select"}</div>`,
+      className: (on ? "selected" : "") + (voted ? " disabled" : ""),
+    });
+    if (!voted) {
+      card.addEventListener("click", () => {
+        if (on) picked.splice(picked.indexOf(opt.id), 1);
+        else if (max && picked.length >= max) return toast(`You can select at most ${max} options.`, "warn");
+        else picked.push(opt.id);
+        renderVoteOptions();
+      });
+    }
+    list.appendChild(card);
+  });
+
+  if (!voted) {
+    const submit = document.createElement("button");
+    submit.className = "btn";
+    submit.textContent = `Submit ballot (${picked.length}${max ? ` of ${max}` : ""} selected)`;
+    submit.addEventListener("click", () => vote(ids.filter((id) => picked.includes(id))));
+    list.appendChild(submit);
   }
 }
 
-let videoStream = null;
-async function startFaceVerification(onSuccess, getDescriptor = false) {
-  const modal = $("#faceModal");
-  const video = $("#video");
-  const status = $("#faceStatus");
-  modal.classList.remove("hidden");
-  await loadModels();
+/**
+ * Shows each instant-runoff round below the first-preference bars.
+ */
+function renderRunoffRounds(container, el) {
+  const { rankings = [] } = resultsOf(el);
+  if (!container || !rankings.length) return;
+  const { rounds, winner, tie, lastTie } = instantRunoff(optionIds(el), rankings);
+  const title = (id) => sanitize(optionTitle(el, id));
+  const box = document.createElement("div");
+  box.className = "runoff";
+  box.innerHTML = rounds
+    .map((round, i) => {
+      const counts = Object.entries(round.counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, n]) => `${title(id)} ${n}`)
+        .join(" · ");
+      const tieBreak = round.tieBrokenBy === null ? "" : ` (tie broken by round ${round.tieBrokenBy + 1})`;
+      const out = round.eliminated.length
+        ? ` — <span class="eliminated">${round.eliminated.map(title).join(", ")} eliminated${tieBreak}</span>`
+        : "";
+      const exhausted = round.exhausted ? ` (${round.exhausted} exhausted)` : "";
+      return `<div><strong>Round ${i + 1}:</strong> ${counts}${exhausted}${out}</div>`;
+    })
+    .join("");
+  const verdict = document.createElement("div");
+  verdict.className = "runoff-winner";
+  verdict.textContent = winner
+    ? `Winner: ${optionTitle(el, winner)}`
+    : tie
+      ? `Tie between ${tie.map((id) => optionTitle(el, id)).join(", ")}`
+      : lastTie
+        ? `No winner: ${lastTie.map((id) => optionTitle(el, id)).join(", ")} are tied for last place and no earlier round separates them`
+        : "No winner yet";
+  box.appendChild(verdict);
+  container.appendChild(box);
+}
 
-  try {
-    if (status) status.textContent = "Initializing camera...";
-    videoStream = await navigator.mediaDevices.getUserMedia({
-      video: { width: 320, height: 240, facingMode: "user" }
-    });
-    video.srcObject = videoStream;
+function renderResultsBars(container, sorted = false, el = currentElection()) {
+  if (!container) return 0;
+  const previous = {};
+  container.querySelectorAll(".bar").forEach((bar) => {
+    previous[bar.dataset.option] = bar.firstElementChild.style.width;
+  });
+  container.innerHTML = "";
+  if (!el) return 0;
+  // Percentages are shares of ballots cast, so approvals may add up past 100%
+  const { total, tally: votes } = resultsOf(el);
+  const items = el.options.map((opt) => ({
+    opt,
+    count: votes[opt.id] || 0,
+  }));
+  const data = sorted ? items.sort((a, b) => b.count - a.count) : items;
 
-    // Explicitly play and wait
+  // Bars start at their previous width and grow or shrink from there
+  const bars = data.map(({ opt, count }) => {
+    const pct = percent(count, total);
+    const wrap = document.createElement("div");
+    wrap.className = "bar";
+    wrap.dataset.option = opt.id;
+    wrap.innerHTML = `
+          <div class="bar-inner" style="width:${previous[opt.id] || "0%"}">
+            <strong style="flex:1">${sanitize(opt.title)}</strong>
+            <span>${count} (${pct}%)</span>
+          </div>
+        `;
+    container.appendChild(wrap);
+    return [wrap.firstElementChild, pct];
+  });
+  void container.offsetWidth; // commit the start widths so the change transitions
+  bars.forEach(([inner, pct]) => (inner.style.width = pct + "%"));
+
+  if (el.settings.ballotType === "ranked") renderRunoffRounds(container, el);
+  return total;
+}
+
+function renderResultsForUser() {
+  const note = $("#results-note");
+  const wrap = $("#user-results-wrap");
+  if (!wrap) return;
+  const el = currentElection();
+
+  if (!el || !el.settings.showResultsToUsers) {
+    wrap.classList.remove("hidden");
+    const resDiv = $("#results");
+    if (resDiv) resDiv.innerHTML = "";
+    if (note) note.textContent = "Hidden by admin";
+    return;
+  }
+  if (note) note.textContent = "";
+  wrap.classList.remove("hidden");
+  const resDiv = $("#results");
+  if (resDiv) renderResultsBars(resDiv, state.sortByVotes);
+}
+
+function showReceipt(code) {
+  const box = $("#receipt-box");
+  if (!box) return;
+  box.classList.remove("hidden");
+  $("#receipt-code").textContent = code;
+}
+
+async function checkReceipt() {
+  const input = $("#receipt-input");
+  const out = $("#receipt-result");
+  if (!input || !out) return;
+  if (!normalizeCode(input.value)) return (out.textContent = "Enter a receipt code.");
+  let found;
+  if (useServer()) {
     try {
-      await video.play();
-    } catch (e) {
-      console.warn("Autoplay was blocked, user gesture might be needed", e);
+      const { election, replaced } = await api("POST", "/api/receipts", { code: input.value });
+      found = election && { el: election, replaced };
+    } catch (err) {
+      return (out.textContent = err.message);
     }
+  } else {
+    found = await findBallotByReceipt(input.value);
+  }
+  if (!found) return (out.textContent = "❌ No ballot matches this receipt.");
+  // Only whether it counts: showing the choices would let a voter prove their vote to someone else
+  out.textContent = found.replaced
+    ? `🔁 Replaced in "${found.el.title}". A later ballot from the same voter counts instead.`
+    : `✅ Counted in "${found.el.title}".`;
+}
 
-    if (status) status.textContent = "Scanning face... Focus!";
+function renderVoteView() {
+  const welcome = $("#welcomeUser");
+  if (welcome) welcome.textContent = `Welcome, ${state.user}!`;
+  const receipt = $("#receipt-box");
+  if (receipt) receipt.classList.add("hidden");
+  hideReview();
+  renderElectionPicker();
+  renderVoteOptions();
+  renderResultsForUser();
+}
 
-    let verified = false;
-    const checkFace = async () => {
-      if (!videoStream || verified) return;
+// ---------- Rendering: Admin ----------
+function renderElectionList() {
+  const list = $("#election-list");
+  if (!list) return;
+  list.innerHTML = "";
+  listElections().forEach((el) => {
+    const item = document.createElement("div");
+    const phase = votingStatus(el).phase;
+    const status = el.archived
+      ? "Archived"
+      : phase === "scheduled"
+        ? "Scheduled"
+        : phase === "open"
+          ? "Open"
+          : "Closed";
+    item.className = "election-item" + (el.id === state.electionId ? " active" : "");
+    item.innerHTML = `
+          <div style="flex:1;min-width:0">
+            <strong>${sanitize(el.title)}</strong>
+            <div class="help">${status} • ${ballotTypeLabel(el)} • ${el.options.length} options</div>
+          </div>
+          <button class="btn ghost" data-act="archive" style="width:auto;padding:6px 10px">
+            ${el.archived ? "Restore" : "Archive"}
+          </button>`;
+    item.addEventListener("click", () => {
+      setCurrentElection(el.id);
+      renderAdmin();
+    });
+    item.querySelector("[data-act=archive]").addEventListener("click", (e) => {
+      e.stopPropagation();
+      el.archived = !el.archived;
+      saveElection(el);
+      renderAdmin();
+      toast(el.archived ? "Election archived." : "Election restored.", "success");
+    });
+    list.appendChild(item);
+  });
+}
+
+let editingOption = null; // id of the option open for editing in the admin list
+let draggedOption = null;
+
+function refreshOptions() {
+  renderAdmin();
+  renderVoteOptions();
+  renderResultsForUser();
+}
 
+/**
+ * The admin's option list: rows are dragged into a new order and edited in
+ * place. Ballots hold option ids, so neither touches a tally.
+ */
+function renderOptionList() {
+  const list = $("#option-list");
+  if (!list) return;
+  list.innerHTML = "";
+  const el = currentElection();
+  if (!el) return;
+  el.options.forEach((opt) => {
+    if (opt.id === editingOption) return list.appendChild(optionEditor(el, opt));
+    const row = document.createElement("div");
+    row.className = "option-row";
+    row.draggable = true;
+    const extras = [opt.description, opt.image && "🖼️ Image", opt.link && "🔗 Link"].filter(Boolean);
+    row.innerHTML = `
+          <span class="drag-handle" title="Drag to reorder">⠿</span>
+          <div style="flex:1;min-width:0">
+            <strong>${sanitize(opt.title)}</strong>
+            ${extras.length ? `<div class="option-teaser">${sanitize(extras.join(" • "))}</div>` : ""}
+          </div>
+          <button class="btn ghost" data-act="edit" style="width:auto;padding:6px 10px">Edit</button>
+          <button class="btn ghost" data-act="remove" title="Remove" style="width:auto;padding:6px 10px">×</button>`;
+    row.querySelector("[data-act=edit]").addEventListener("click", () => {
+      editingOption = opt.id;
+      renderOptionList();
+    });
+    row.querySelector("[data-act=remove]").addEventListener("click", async () => {
+      // Remove option; the log is append-only, so its ballots stay put and
+      // the tally skips it: ranked ballots fall through to their next
+      // preference and single-choice ballots for it count as blank.
       try {
-        // Switch back to TinyFaceDetector for much better real-time performance
-        const options = new faceapi.TinyFaceDetectorOptions({ inputSize: 160, scoreThreshold: 0.4 });
-        const detections = await faceapi.detectSingleFace(video, options)
-          .withFaceLandmarks()
-          .withFaceDescriptor();
+        await changeOption(el, "remove", opt);
+      } catch (err) {
+        return toast(err.message, "error");
+      }
+      refreshOptions();
+    });
 
-        if (detections) {
-          verified = true;
-          status.textContent = "Face detected! Stable... ✅";
-          setTimeout(() => {
-            stopFaceVerification();
-            onSuccess(getDescriptor ? detections.descriptor : null);
-          }, 1000);
-        } else {
-          status.textContent = "Scanning... (Position your face clearly)";
-          // Small delay before next check to keep UI responsive
-          setTimeout(() => {
-            if (videoStream) requestAnimationFrame(checkFace);
-          }, 100);
-        }
-      } catch (e) {
-        console.error("Detection error:", e);
-        if (videoStream) requestAnimationFrame(checkFace);
+    row.addEventListener("dragstart", (e) => {
+      draggedOption = opt.id;
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", opt.id); // Firefox won't start a drag without data
       }
-    };
+      row.classList.add("dragging");
+    });
+    row.addEventListener("dragend", () => {
+      draggedOption = null;
+      row.classList.remove("dragging");
+    });
+    row.addEventListener("dragover", (e) => {
+      if (!draggedOption || draggedOption === opt.id) return;
+      e.preventDefault();
+      row.classList.add("drop-target");
+    });
+    row.addEventListener("dragleave", () => row.classList.remove("drop-target"));
+    row.addEventListener("drop", async (e) => {
+      e.preventDefault();
+      const ids = optionIds(el);
+      const from = ids.indexOf(draggedOption);
+      if (from < 0) return;
+      // Takes the target's place: below it when moving down, above it when moving up
+      ids.splice(ids.indexOf(opt.id), 0, ...ids.splice(from, 1));
+      draggedOption = null;
+      try {
+        await reorderOptions(el, ids);
+      } catch (err) {
+        toast(err.message, "error");
+      }
+      refreshOptions();
+    });
+    list.appendChild(row);
+  });
+}
 
-    checkFace();
+function optionEditor(el, opt) {
+  const form = document.createElement("div");
+  form.className = "option-row option-edit";
+  form.innerHTML = `
+          <div class="field"><span>🏷️</span><input data-key="title" placeholder="Title" /></div>
+          <div class="field"><span>📝</span><textarea data-key="description" rows="3" placeholder="Description (optional)"></textarea></div>
+          <div class="field"><span>🖼️</span><input data-key="image" placeholder="Image URL (optional)" /></div>
+          <div class="field"><span>🔗</span><input data-key="link" placeholder="Link to more information (optional)" /></div>
+          <div class="row">
+            <button class="btn secondary" data-act="save" style="width:auto;padding:8px 14px">Save</button>
+            <button class="btn ghost" data-act="cancel" style="width:auto;padding:8px 14px">Cancel</button>
+          </div>`;
+  const inputs = form.querySelectorAll("[data-key]");
+  inputs.forEach((input) => (input.value = opt[input.dataset.key]));
+  form.querySelector("[data-act=cancel]").addEventListener("click", () => {
+    editingOption = null;
+    renderOptionList();
+  });
+  form.querySelector("[data-act=save]").addEventListener("click", async () => {
+    const values = {};
+    inputs.forEach((input) => (values[input.dataset.key] = input.value));
+    try {
+      await changeOption(el, "edit", { id: opt.id, ...cleanOption(el, values, opt.id) });
+    } catch (err) {
+      return toast(err.message, "error");
+    }
+    editingOption = null;
+    refreshOptions();
+    toast("Option updated.", "success");
+  });
+  return form;
+}
+
+function renderSchedule() {
+  const el = currentElection();
+  const settings = el ? el.settings : defaultSettings;
+  const so = $("#schedule-open");
+  if (so) so.value = toLocalInputValue(settings.opensAt);
+  const sc = $("#schedule-close");
+  if (sc) sc.value = toLocalInputValue(settings.closesAt);
+  const info = $("#schedule-info");
+  if (!info) return;
+  const parts = [];
+  if (settings.opensAt) parts.push(`Opens ${formatDateTime(settings.opensAt)}`);
+  if (settings.closesAt) parts.push(`Closes ${formatDateTime(settings.closesAt)}`);
+  const status = votingStatus(el);
+  if (parts.length && !settings.votingOpen) parts.push("voting is switched off");
+  if (status.remaining) {
+    parts.push(status.phase === "scheduled"
+      ? `starts in ${formatDuration(status.remaining)}`
+      : `ends in ${formatDuration(status.remaining)}`);
+  }
+  info.textContent = parts.length ? parts.join(" • ") : "No schedule — controlled manually.";
+}
+
+function renderAdmin() {
+  renderElectionList();
+  const el = currentElection();
+  const title = $("#admin-election-title");
+  if (title) title.textContent = el ? el.title : "No election selected";
+  const desc = $("#admin-election-desc");
+  if (desc) desc.textContent = el ? el.description : "";
+
+  // toggles
+  const settings = el ? el.settings : defaultSettings;
+  const tv = $("#toggleVoting");
+  if (tv) tv.checked = !!settings.votingOpen;
+  const tr = $("#toggleResults");
+  if (tr) tr.checked = !!settings.showResultsToUsers;
+  const tf = $("#toggleFaceCheck");
+  if (tf) tf.checked = !!settings.requireFaceCheck;
+  const ts = $("#toggleShuffle");
+  if (ts) ts.checked = !!settings.shuffleOptions;
+  const tc = $("#toggleVoteChange");
+  if (tc) tc.checked = !!settings.allowVoteChange;
+  const reauth = $("#election-reauth-input");
+  if (reauth && document.activeElement !== reauth) reauth.value = settings.reauthMinutes || "";
+  renderSchedule();
+  renderAdminResults();
+  renderAnalytics();
+  renderRoll();
+  renderVoterTable();
+  renderAuditLog();
+
+  const typeLabel = $("#admin-ballot-type");
+  if (typeLabel) typeLabel.textContent = el ? ballotTypeLabel(el) : "";
+
+  renderOptionList();
+  renderIntegrity();
+  renderAdminAccounts();
+  renderSecuritySettings();
+}
+
+function renderAdminResults() {
+  const total = renderResultsBars($("#admin-results"), state.sortByVotes);
+  const tvLabel = $("#totalVotes");
+  if (tvLabel) tvLabel.textContent = `Total votes: ${total}`;
+}
+
+function renderAnalytics() {
+  const box = $("#analytics");
+  if (!box) return;
+  const el = currentElection();
+  if (!el) return (box.innerHTML = "");
+  const { registered, authStats } = participationStats();
+  const voted = el.voters.length;
+  const { step, columns } = activitySeries(el);
+  const max = Math.max(1, ...columns.map((c) => c.count));
+  const peak = columns.reduce((best, c) => (c.count > (best ? best.count : 0) ? c : best), null);
+  const logins = Object.keys(AUTH_METHODS).reduce((sum, m) => sum + (authStats[m] || 0), 0);
+
+  box.innerHTML = `
+        <div class="stat-grid">
+          <div class="stat"><strong>${registered}</strong><span>Registered</span></div>
+          <div class="stat"><strong>${voted}</strong><span>Voted</span></div>
+          <div class="stat"><strong>${percent(voted, registered)}%</strong><span>Turnout</span></div>
+        </div>
+        <div class="help mt-10">Votes over time${columns.length ? ` • per ${step < 3600000 ? `${step / 60000} min` : `${step / 3600000} h`}` : ""}</div>
+        ${columns.length
+          ? `<div class="activity-chart">${columns
+            .map((c) => `<div class="activity-col" title="${formatDateTime(c.start)}: ${c.count}">
+                <div style="height:${Math.round((c.count / max) * 100)}%"></div></div>`)
+            .join("")}</div>
+            <div class="between help"><span>${formatDateTime(columns[0].start)}</span>
+              <span>${formatDateTime(columns[columns.length - 1].start + step)}</span></div>
+            <div class="help">Busiest: ${formatDateTime(peak.start)} – ${formatDateTime(peak.start + step)}
+              (${peak.count} ${peak.count === 1 ? "ballot" : "ballots"})</div>`
+          : `<div class="help">No timed ballots yet.</div>`}
+        <div class="help mt-10">Sign-ins by method${logins ? "" : " • none yet"}</div>
+        <div class="results" id="auth-split"></div>`;
+
+  const split = $("#auth-split");
+  Object.entries(AUTH_METHODS).forEach(([method, label]) => {
+    const count = authStats[method] || 0;
+    const pct = percent(count, logins);
+    const bar = document.createElement("div");
+    bar.className = "bar";
+    bar.innerHTML = `
+          <div class="bar-inner" style="width:${pct}%">
+            <strong style="flex:1">${label}</strong>
+            <span>${count} (${pct}%)</span>
+          </div>`;
+    split.appendChild(bar);
+  });
+}
+
+function renderRoll() {
+  const roll = rollEntries();
+  const ids = Object.keys(roll).sort();
+  const summary = $("#roll-summary");
+  if (summary) {
+    const registered = ids.filter((id) => roll[id].usedBy).length;
+    const invited = ids.filter((id) => roll[id].codeHash && !roll[id].usedBy).length;
+    summary.textContent = ids.length
+      ? `${ids.length} on the roll • ${registered} registered • ${invited} invited • registering needs an invite code`
+      : "No voter roll: anyone can register.";
+  }
+  const list = $("#roll-list");
+  if (list) {
+    list.innerHTML = "";
+    ids.forEach((id) => {
+      const entry = roll[id];
+      const chip = document.createElement("div");
+      chip.className = "chip";
+      chip.title = entry.usedBy ? `Registered as ${entry.usedBy}` : entry.codeHash ? "Invited" : "No invite code yet";
+      chip.innerHTML = `<span>${entry.usedBy ? "✅" : entry.codeHash ? "✉️" : "⏳"}</span><span>${sanitize(id)}</span>`;
+      const btn = document.createElement("button");
+      btn.title = "Remove from roll";
+      btn.textContent = "×";
+      btn.addEventListener("click", () => removeFromRoll(id));
+      chip.appendChild(btn);
+      list.appendChild(chip);
+    });
+  }
+  const el = currentElection();
+  const eligible = $("#eligible-input");
+  if (eligible) eligible.value = el && el.eligible ? el.eligible.join("\n") : "";
+  const info = $("#eligible-info");
+  if (info) {
+    info.textContent = !el ? "" : el.eligible ? `Only ${el.eligible.length} people on the roll can see and vote in this election.` : "Everyone can vote in this election.";
+  }
+  renderRollPending();
+}
+
+// Who on the roll (or on this election's list) hasn't cast a ballot yet
+function renderRollPending() {
+  const box = $("#roll-pending");
+  if (!box) return;
+  const roll = rollEntries();
+  const el = currentElection();
+  if (!el || !Object.keys(roll).length) return (box.innerHTML = "");
+  const ids = (el.eligible || Object.keys(roll)).filter((id) => roll[id]);
+  const pending = ids.filter((id) => !roll[id].usedBy || !el.voters.includes(roll[id].usedBy)).sort();
+  box.innerHTML = pending.length
+    ? `<div class="help">Not voted yet: ${pending.length} of ${ids.length} on the roll</div>
+        <div class="chip-wrap mt-10">${pending
+          .map((id) => `<div class="chip" title="${roll[id].usedBy ? "Registered" : "Not registered"}">
+            <span>${roll[id].usedBy ? "👤" : "✉️"}</span><span>${sanitize(id)}</span></div>`)
+          .join("")}</div>`
+    : `<div class="help">Everyone on the roll has voted.</div>`;
+}
+
+function renderVoterTable() {
+  const box = $("#user-table");
+  if (!box) return;
+  const query = ($("#user-search")?.value || "").trim().toLowerCase();
+  const rows = voterRows();
+  const shown = rows.filter((r) => !query || r.name.toLowerCase().includes(query) || (r.rollId || "").includes(query));
+  const count = $("#user-count");
+  if (count) count.textContent = query ? `${shown.length} of ${rows.length}` : `${rows.length} registered`;
+  if (!shown.length) {
+    box.innerHTML = `<div class="help">${rows.length ? "No voters match." : "No voters have registered yet."}</div>`;
+    return;
+  }
+  const badge = (text, kind = "") => `<span class="badge${kind ? " " + kind : ""}">${text}</span>`;
+  const button = (action, label, kind = "ghost") =>
+    `<button class="btn ${kind}" data-action="${action}">${label}</button>`;
+  box.innerHTML = `<table class="user-table">${shown
+    .map((r) => `<tr data-user="${sanitize(r.name)}">
+        <td><strong>${sanitize(r.name)}</strong>
+          <div class="help">${[r.rollId && sanitize(r.rollId), r.createdAt && formatDateTime(r.createdAt)].filter(Boolean).join(" • ")}</div></td>
+        <td>${[
+          r.voted ? badge("Voted", "ok") : badge("Not voted"),
+          r.face ? badge("Face") : badge("No face", "warn"),
+          r.passkeys ? badge(r.passkeys > 1 ? `${r.passkeys} passkeys` : "Passkey") : "",
+          r.disabled ? badge("Disabled", "bad") : "",
+          r.locked ? badge("Locked out", "bad") : "",
+          r.mustChangePassword ? badge("Password reset", "warn") : "",
+          r.mustEnrollFace ? badge("Re-enroll face", "warn") : "",
+        ].join("")}</td>
+        <td class="user-actions">${[
+          r.locked ? button("unlock", "Unlock", "secondary") : "",
+          r.disabled ? button("enable", "Enable", "secondary") : button("disable", "Disable"),
+          button("password", "Reset password"),
+          button("face", "Re-enroll face"),
+          button("delete", "Delete", "danger"),
+        ].join("")}</td>
+      </tr>`)
+    .join("")}</table>`;
+}
+
+const AUDIT_SHOWN = 100;
+
+function renderAuditLog() {
+  const list = $("#audit-list");
+  if (!list) return;
+  const category = $("#audit-filter")?.value || "";
+  const query = ($("#audit-search")?.value || "").trim().toLowerCase();
+  const entries = auditEntries().filter((e) => auditMatches(e, category, query)).reverse();
+  const count = $("#audit-count");
+  if (count) {
+    count.textContent = entries.length > AUDIT_SHOWN
+      ? `Newest ${AUDIT_SHOWN} of ${entries.length}`
+      : `${entries.length} of ${auditEntries().length} entries`;
+  }
+  list.innerHTML = entries.length
+    ? entries
+      .slice(0, AUDIT_SHOWN)
+      .map((e) => `<div class="audit-entry">
+          <div class="between"><strong>${sanitize(e.action)}</strong><span class="help">${formatDateTime(e.at)}</span></div>
+          <div class="help">#${e.seq} • ${e.actor ? `${e.role} ${sanitize(e.actor)}` : e.role}${
+            Object.keys(e.detail || {}).length ? ` • ${sanitize(auditDetailText(e.detail))}` : ""}</div>
+        </div>`)
+      .join("")
+    : `<div class="help">No matching entries.</div>`;
+}
 
+async function refreshServerAudit() {
+  try {
+    state.serverAudit = (await api("GET", "/api/audit", undefined, "admin")).audit;
+    renderAuditLog();
   } catch (err) {
     console.error(err);
-    toast("Camera access denied or failed.", "error");
-    stopFaceVerification();
   }
 }
 
-function stopFaceVerification() {
-  const modal = $("#faceModal");
-  modal.classList.add("hidden");
-  if (videoStream) {
-    videoStream.getTracks().forEach(track => track.stop());
-    videoStream = null;
+function renderSecuritySettings() {
+  const { faceMatchThreshold, faceMaxAttempts, faceLockoutMinutes, requireLiveness } = state.config;
+  const lv = $("#cfg-liveness");
+  if (lv) lv.checked = !!requireLiveness;
+  const mo = $("#cfg-model-order");
+  if (mo) mo.value = state.config.modelSources.join(",");
+  const mi = $("#model-source-info");
+  if (mi) mi.textContent = state.modelSource ? `Models in use: ${state.modelSource}` : "Models load on first face scan.";
+  const th = $("#cfg-face-threshold");
+  if (th) th.value = faceMatchThreshold;
+  const at = $("#cfg-face-attempts");
+  if (at) at.value = faceMaxAttempts;
+  const lo = $("#cfg-face-lockout");
+  if (lo) lo.value = faceLockoutMinutes;
+  const la = $("#cfg-login-attempts");
+  if (la) la.value = state.config.loginMaxAttempts;
+  const ll = $("#cfg-login-lockout");
+  if (ll) ll.value = state.config.loginLockoutMinutes;
+  const li = $("#login-limits-info");
+  if (li) {
+    li.textContent = useServer()
+      ? "The shared server sets its own sign-in limits. Locked accounts are listed below."
+      : "Attempts before lockout • lockout minutes. Locked accounts are listed below.";
+  }
+  renderLockouts();
+  const su = $("#cfg-server-url");
+  if (su) su.value = state.config.serverUrl;
+  const si = $("#server-info");
+  if (si) {
+    si.textContent = !useServer()
+      ? "Data is stored in this browser only."
+      : `Elections and ballots are shared through ${apiBase() || location.origin}.`;
+  }
+}
+
+function renderLockouts() {
+  const list = $("#lockout-list");
+  if (!list) return;
+  list.innerHTML = "";
+  Object.entries(lockoutEntries()).forEach(([key, rec]) => {
+    const chip = document.createElement("div");
+    chip.className = "chip";
+    chip.title = `Locked until ${formatDateTime(rec.lockedUntil)}`;
+    chip.innerHTML = `<span>🔒</span><span>${sanitize(lockoutLabel(key))}</span>`;
+    const btn = document.createElement("button");
+    btn.title = "Unlock";
+    btn.textContent = "×";
+    btn.addEventListener("click", async () => {
+      try {
+        await unlockLogin(key);
+      } catch (err) {
+        toast(err.message, "error");
+      }
+      renderLockouts();
+      renderVoterTable();
+    });
+    chip.appendChild(btn);
+    list.appendChild(chip);
+  });
+}
+
+function renderAdminAccounts() {
+  const list = $("#admin-list");
+  if (!list) return;
+  const who = $("#admin-whoami");
+  if (who) who.textContent = state.admin ? `Signed in as ${state.admin}` : "";
+  list.innerHTML = "";
+  Object.keys(adminAccounts()).sort().forEach((user) => {
+    const chip = document.createElement("div");
+    chip.className = "chip";
+    chip.innerHTML = `<span>🛡️</span><span>${sanitize(user)}${user === state.admin ? " (you)" : ""}</span>`;
+    if (user !== state.admin) {
+      const btn = document.createElement("button");
+      btn.title = "Remove admin";
+      btn.textContent = "×";
+      btn.addEventListener("click", () => removeAdmin(user));
+      chip.appendChild(btn);
+    }
+    list.appendChild(chip);
+  });
+}
+
+function renderIntegrity(report) {
+  const box = $("#integrity-report");
+  if (!box) return;
+  const el = currentElection();
+  if (!el) return (box.innerHTML = "");
+  if (!report) {
+    const head = el.log.length ? el.log[el.log.length - 1].hash : GENESIS_HASH;
+    box.className = "integrity help";
+    box.textContent = `Log head ${head.slice(0, 16)}… • ${el.log.length} ballots`;
+    return;
+  }
+  box.className = "integrity " + (report.ok ? "ok" : "bad");
+  const tally = Object.entries(report.tally).map(([id, n]) => `${sanitize(optionTitle(el, id))} ${n}`).join(" · ");
+  box.innerHTML = report.ok
+    ? `✅ Chain intact — ${report.count} ballots, head ${report.head.slice(0, 16)}…<div class="help">Recomputed: ${tally}</div>`
+    : `⚠️ Tampering detected:<ul>${report.problems
+      .map((p) => `<li>${p.entry ? `Entry #${p.entry}: ` : ""}${sanitize(p.reason)}</li>`)
+      .join("")}</ul><div class="help">Recomputed from log: ${tally}</div>`;
+}
+
+// ---------- Reports ----------
+// Reports carry tallies and counts only: no accounts, face data, voter
+// names or individual ballots
+
+function downloadFile(name, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function reportFileName(el, ext) {
+  const slug = el.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "election";
+  return `votex-${slug}-results.${ext}`;
+}
+
+// Quotes a CSV cell; a leading = + - @ is neutralized so spreadsheets
+// don't run option names as formulas
+function csvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function resultsCsv(el) {
+  const total = ballotsOf(el).length;
+  const votes = tallyVotes(el);
+  const heading = { single: "Votes", ranked: "First preferences", approval: "Approvals" }[el.settings.ballotType];
+  const rows = [["Option", heading, "Percent of ballots"]];
+  el.options.forEach((opt) => rows.push([opt.title, votes[opt.id] || 0, percent(votes[opt.id] || 0, total)]));
+  rows.push(["Total ballots", total, ""]);
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Builds a standalone, print-ready results page. The log head hash is the
+ * integrity fingerprint: anyone holding a copy of the log can recompute it.
+ */
+function resultsReportHtml(el, integrity) {
+  const bars = document.createElement("div");
+  bars.className = "results";
+  renderResultsBars(bars, true, el);
+  const { registered } = participationStats();
+  const { opensAt, closesAt } = el.settings;
+  const row = (label, value) => `<tr><th>${label}</th><td>${value}</td></tr>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${sanitize(el.title)} — results</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #111; max-width: 720px; margin: 32px auto; padding: 0 16px }
+  h1 { margin-bottom: 4px } table { border-collapse: collapse; margin: 16px 0 }
+  th { text-align: left; padding: 2px 16px 2px 0; color: #555; font-weight: 500 }
+  .results { display: grid; gap: 8px; margin: 16px 0 }
+  .bar { border: 1px solid #ccc; border-radius: 8px; overflow: hidden }
+  .bar-inner { display: flex; gap: 10px; padding: 6px 10px; white-space: nowrap; background: #cfe0ff;
+    -webkit-print-color-adjust: exact; print-color-adjust: exact }
+  .runoff { font-size: 13px; color: #444; border: 1px dashed #bbb; border-radius: 8px; padding: 8px 10px }
+  .runoff-winner { font-weight: 700; color: #111 }
+  .fingerprint { font-family: ui-monospace, monospace; word-break: break-all; font-size: 12px }
+  .note { color: #666; font-size: 12px }
+</style>
+</head>
+<body>
+<h1>${sanitize(el.title)}</h1>
+${el.description ? `<p>${sanitize(el.description)}</p>` : ""}
+<table>
+  ${row("Ballot type", ballotTypeLabel(el))}
+  ${row("Voting opened", opensAt ? formatDateTime(opensAt) : "Manually")}
+  ${row("Voting closes", closesAt ? formatDateTime(closesAt) : "Manually")}
+  ${row("Status", votingStatus(el).open ? "Open" : "Closed")}
+  ${row("Ballots cast", ballotsOf(el).length)}
+  ${row("Turnout", `${el.voters.length} of ${registered} registered voters (${percent(el.voters.length, registered)}%)`)}
+</table>
+<h2>Results</h2>
+${bars.innerHTML}
+<h2>Integrity</h2>
+<p>${integrity.ok ? "✅ Ballot log verified" : `❌ Ballot log failed verification (${integrity.problems.length} problems)`}
+  • ${integrity.count} entries</p>
+<p class="fingerprint">Log head: ${integrity.head}</p>
+<p class="note">Generated ${formatDateTime(Date.now())} by VoteX. Percentages are shares of ballots cast.</p>
+</body>
+</html>`;
+}
+
+async function printResultsReport(el) {
+  const win = window.open("", "_blank");
+  if (!win) return toast("Allow pop-ups to open the report.", "warn");
+  win.document.write(resultsReportHtml(el, await verifyElectionLog(el)));
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+// ---------- Import ----------
+const BALLOT_TYPES = ["single", "ranked", "approval"];
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Legacy tallies: counts must be whole numbers for real options and add up
+// to the number of recorded voters
+function checkLegacyTallies(label, { options, votes, userVotes }, errors, warnings) {
+  if (votes === undefined) return;
+  if (!isPlainObject(votes)) return errors.push(`${label}: "votes" must map options to counts.`);
+  let sum = 0;
+  Object.entries(votes).forEach(([opt, count]) => {
+    if (!Number.isInteger(count) || count < 0) errors.push(`${label}: vote count for "${opt}" is not a whole number.`);
+    else sum += count;
+    if (Array.isArray(options) && options.length && !options.includes(opt) && count > 0)
+      warnings.push(`${label}: ${count} votes for "${opt}", which is not an option.`);
+  });
+  if (userVotes === undefined) return;
+  if (!isPlainObject(userVotes)) return errors.push(`${label}: "userVotes" must map usernames to choices.`);
+  const voters = Object.keys(userVotes).length;
+  if (voters !== sum) warnings.push(`${label}: ${voters} voters recorded but the tallies add up to ${sum} votes.`);
+}
+
+function validateElectionRecord(id, el, errors, warnings) {
+  const label = `Election "${isPlainObject(el) && el.title ? el.title : id}"`;
+  if (!isPlainObject(el)) return errors.push(`${label}: not an election object.`);
+  if (el.id !== id) errors.push(`${label}: its id "${el.id}" doesn't match its key "${id}".`);
+  if (typeof el.title !== "string" || !el.title.trim()) errors.push(`${label}: missing title.`);
+  // Older files list option names, which double as their ids
+  const validOption = (o) => (typeof o === "string" && o.trim()) ||
+    (isPlainObject(o) && typeof o.id === "string" && o.id && typeof o.title === "string" && o.title.trim());
+  const options = Array.isArray(el.options) && el.options.every(validOption)
+    ? el.options.map((o) => (typeof o === "string" ? o : o.id))
+    : null;
+  if (!options) {
+    errors.push(`${label}: "options" must be a list of options with an id and a title.`);
+  } else if (new Set(options).size !== options.length) {
+    errors.push(`${label}: options contain duplicates.`);
+  }
+  if (el.settings !== undefined) {
+    if (!isPlainObject(el.settings)) errors.push(`${label}: "settings" must be an object.`);
+    else if (el.settings.ballotType !== undefined && !BALLOT_TYPES.includes(el.settings.ballotType))
+      errors.push(`${label}: unknown ballot type "${el.settings.ballotType}".`);
+  }
+  if (el.voters !== undefined && !(Array.isArray(el.voters) && el.voters.every((v) => typeof v === "string")))
+    errors.push(`${label}: "voters" must be a list of usernames.`);
+  if (el.log !== undefined) {
+    if (!Array.isArray(el.log)) return errors.push(`${label}: "log" must be a list.`);
+    let unknown = 0;
+    el.log.forEach((entry, i) => {
+      const choices = isPlainObject(entry) && isPlainObject(entry.ballot) ? entry.ballot.choices : null;
+      if (!Array.isArray(choices) || !choices.every((c) => typeof c === "string"))
+        return errors.push(`${label}: ballot log entry #${i + 1} is malformed.`);
+      if (Array.isArray(options) && choices.some((c) => !options.includes(c))) unknown += 1;
+    });
+    if (unknown) warnings.push(`${label}: ${unknown} ballots name options that aren't on the ballot; those choices won't count.`);
+    const replaced = new Set(
+      el.log.map((entry) => isPlainObject(entry) && isPlainObject(entry.ballot) && entry.ballot.replaces).filter(Number.isInteger)
+    );
+    const current = el.log.length - replaced.size;
+    if (Array.isArray(el.voters) && el.voters.length !== current)
+      warnings.push(`${label}: ${el.voters.length} voters recorded but the log holds ${current} current ballots.`);
+  }
+  checkLegacyTallies(label, el, errors, warnings);
+}
+
+/**
+ * Checks an import file without changing anything. Structural problems are
+ * errors and block the import; inconsistencies (tallies that don't add up,
+ * a log that fails verification) are warnings the admin can accept, except
+ * that a shared server re-checks every log and refuses a broken one.
+ * Returns { errors, warnings, imported: { users, elections } }.
+ */
+async function validateImport(data) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(data)) return { errors: ["The file must contain a JSON object."], warnings };
+
+  if (data.users !== undefined) {
+    if (!isPlainObject(data.users)) errors.push('"users" must map usernames to accounts.');
+    else Object.entries(data.users).forEach(([name, record]) => {
+      if (!/^[A-Za-z0-9_]+$/.test(name)) errors.push(`User "${name}": invalid username.`);
+      else if (typeof record === "string")
+        warnings.push(`User "${name}" has a plain-text password; it is hashed ${useServer() ? "by the server on import" : "on their next login"}.`);
+      else if (!isPlainObject(record) || !isPlainObject(record.password) ||
+        typeof record.password.salt !== "string" || typeof record.password.hash !== "string")
+        errors.push(`User "${name}": password record is missing or malformed.`);
+    });
+  }
+
+  const legacy = data.elections === undefined && (data.votes !== undefined || data.options !== undefined);
+  if (data.elections !== undefined) {
+    if (!isPlainObject(data.elections)) errors.push('"elections" must map election ids to elections.');
+    else Object.entries(data.elections).forEach(([id, el]) => validateElectionRecord(id, el, errors, warnings));
+  } else if (legacy) {
+    if (data.options !== undefined && !(Array.isArray(data.options) && data.options.every((o) => typeof o === "string")))
+      errors.push('"options" must be a list of option names.');
+    checkLegacyTallies("Single ballot", data, errors, warnings);
+  } else if (data.users === undefined) {
+    errors.push("The file has no users or elections to import.");
+  }
+  if (errors.length) return { errors, warnings };
+
+  const elections = {};
+  if (data.elections) {
+    Object.values(JSON.parse(JSON.stringify(data.elections))).forEach((el) => (elections[el.id] = normalizeElection(el)));
+  } else if (legacy) {
+    // Older single-ballot exports
+    createElection({
+      title: "Imported election",
+      options: data.options,
+      votes: data.votes,
+      userVotes: data.userVotes,
+      settings: data.settings,
+    }, elections);
   }
+  // A shared server only takes ballot logs that verify
+  for (const el of Object.values(elections)) {
+    if (!el.log.length) continue;
+    const report = await verifyElectionLog(el);
+    const chain = report.problems.filter((p) => p.entry);
+    if (chain.length) (useServer() ? errors : warnings).push(`Election "${el.title}": ballot log fails verification (${chain[0].reason} at entry #${chain[0].entry}).`);
+  }
+  if (errors.length) return { errors, warnings };
+  return { errors, warnings, imported: { users: data.users || null, elections } };
 }
 
-// ---------- Voting ----------
-function hasUserVoted(u) {
-  return !!state.userVotes[u];
+function logHead(el) {
+  return el.log.length ? el.log[el.log.length - 1].hash : GENESIS_HASH;
 }
-function userChoice(u) {
-  return state.userVotes[u];
+
+/**
+ * Works out the data an import would leave behind. "replace" swaps in the
+ * file's users and elections; "merge" only adds what is new, keeping the
+ * current account or election whenever both have the same name or id, since
+ * two ballot logs can't be combined into one chain.
+ */
+function planImport({ users, elections }, mode) {
+  const merge = mode === "merge";
+  const diff = { usersAdded: [], usersKept: [], usersRemoved: [], added: [], replaced: [], kept: [], removed: [] };
+  const nextUsers = merge ? { ...state.users } : {};
+  Object.entries(users || {}).forEach(([name, record]) => {
+    const exists = name in state.users;
+    if (!exists) diff.usersAdded.push(name);
+    else if (merge && JSON.stringify(state.users[name]) !== JSON.stringify(record)) diff.usersKept.push(name);
+    if (!merge || !exists) nextUsers[name] = record;
+  });
+  if (!merge) diff.usersRemoved = Object.keys(state.users).filter((name) => !(users && name in users));
+
+  const nextElections = merge ? { ...state.elections } : {};
+  Object.values(elections).forEach((el) => {
+    const current = state.elections[el.id];
+    const same = current && logHead(current) === logHead(el) && current.title === el.title &&
+      JSON.stringify(current.options) === JSON.stringify(el.options);
+    if (!current) diff.added.push(el.title);
+    else if (!same) (merge ? diff.kept : diff.replaced).push(el.title);
+    if (!merge || !current) nextElections[el.id] = el;
+  });
+  if (!merge) diff.removed = listElections().filter((el) => !elections[el.id]).map((el) => el.title);
+  return { users: nextUsers, elections: nextElections, diff };
 }
 
-function vote(option) {
-  if (!state.user) return toast("Please login first.", "warn");
-  if (!state.settings.votingOpen)
-    return toast("Voting is currently closed.", "warn");
-  if (!state.settings.allowMultipleVotes && hasUserVoted(state.user)) {
-    return toast("You have already voted!", "warn");
+function renderImportPreview(result) {
+  const box = $("#import-preview");
+  if (!box) return;
+  if (!result) {
+    box.classList.add("hidden");
+    box.innerHTML = "";
+    return;
   }
-  if (!state.options.includes(option)) return toast("Invalid option.", "error");
-
-  // Require face verification
-  if (state.settings.requireFaceCheck) {
-    startFaceVerification(() => finalizeVote(option));
+  box.classList.remove("hidden");
+  const list = (items) => `<ul>${items.map((item) => `<li>${sanitize(item)}</li>`).join("")}</ul>`;
+  if (result.errors.length) {
+    box.className = "integrity bad";
+    box.innerHTML = `<strong>${sanitize(result.fileName)} can't be imported:</strong>${list(result.errors)}
+      <button class="btn ghost mt-10" data-act="cancel">Dismiss</button>`;
   } else {
-    finalizeVote(option);
+    const mode = $("#import-mode")?.value || "merge";
+    const { diff } = planImport(result.imported, mode);
+    const names = (items) => (items.length ? `: ${items.map(sanitize).join(", ")}` : "");
+    const lines = [
+      useServer()
+        ? `Accounts in file: ${Object.keys(result.imported.users || {}).length}` +
+          (mode === "merge" ? " (usernames already on the server are kept)" : " (replacing the server's accounts if any)")
+        : `Users: ${diff.usersAdded.length} new${diff.usersKept.length ? `, ${diff.usersKept.length} kept as they are${names(diff.usersKept)}` : ""}` +
+          (diff.usersRemoved.length ? `, ${diff.usersRemoved.length} removed${names(diff.usersRemoved)}` : ""),
+      `New elections: ${diff.added.length}${names(diff.added)}`,
+      diff.replaced.length ? `Replaced elections: ${diff.replaced.length}${names(diff.replaced)}` : "",
+      diff.kept.length ? `Same id, current election kept: ${diff.kept.length}${names(diff.kept)}` : "",
+      diff.removed.length ? `Removed elections: ${diff.removed.length}${names(diff.removed)}` : "",
+    ].filter(Boolean);
+    box.className = "integrity" + (result.warnings.length ? " bad" : " ok");
+    box.innerHTML = `
+      <strong>Import preview — ${sanitize(result.fileName)}</strong>
+      <div class="field mt-10">
+        <span>🔀</span>
+        <select id="import-mode">
+          <option value="merge"${mode === "merge" ? " selected" : ""}>Merge into current data</option>
+          <option value="replace"${mode === "replace" ? " selected" : ""}>Replace current data</option>
+        </select>
+      </div>
+      <ul>${lines.map((line) => `<li>${line}</li>`).join("")}</ul>
+      ${result.warnings.length ? `<div>Warnings:</div>${list(result.warnings)}` : ""}
+      <div class="help" id="import-dry-run"></div>
+      <div class="row mt-10">
+        <button class="btn secondary" data-act="dry-run" style="width:auto">Dry run</button>
+        <button class="btn" data-act="apply" style="width:auto">Import</button>
+        <button class="btn ghost" data-act="cancel" style="width:auto">Cancel</button>
+      </div>`;
+    box.querySelector("#import-mode").addEventListener("change", () => renderImportPreview(result));
+    box.querySelector("[data-act=dry-run]").addEventListener("click", () => dryRunImport(result));
+    box.querySelector("[data-act=apply]").addEventListener("click", () => applyImport(result));
   }
+  box.querySelector("[data-act=cancel]").addEventListener("click", () => renderImportPreview(null));
 }
 
-function finalizeVote(option) {
-  state.votes[option] = (state.votes[option] || 0) + 1;
-  if (!state.settings.allowMultipleVotes) {
-    state.userVotes[state.user] = option;
+// Shows what the file would change; nothing is imported until the admin confirms
+async function readImportFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    renderImportPreview({ fileName: file.name, errors: [`Not valid JSON: ${err.message}`], warnings: [] });
+    return toast("Import rejected — the file isn't JSON.", "error");
   }
-  saveAll();
-  renderResultsForUser();
-  renderVoteOptions();
-  if (state.admin) renderAdmin();
-  toast("Thanks for your vote! 🗳️", "success");
+  const result = { fileName: file.name, ...(await validateImport(data)) };
+  renderImportPreview(result);
+  if (result.errors.length) toast("Import rejected — see the problems listed.", "error");
 }
 
-// ---------- Rendering: User ----------
-function renderVoteOptions() {
-  const list = $("#vote-options");
-  if (!list) return;
-  list.innerHTML = "";
-  const voted = hasUserVoted(state.user);
-  state.options.forEach((opt) => {
-    const btn = document.createElement("div");
-    btn.className = "option-btn" + (voted ? " disabled" : "");
-    btn.innerHTML = `
-          <div style="display:flex;align-items:center;gap:10px">
-            <span>✅</span><strong>${sanitize(opt)}</strong>
-          </div>
-          <div style="font-size:12px;color:var(--muted)">
-            ${voted ? "Locked" : "Vote"}
-          </div>`;
-    if (!voted) {
-      btn.addEventListener("click", () => vote(opt));
-    }
-    list.appendChild(btn);
-  });
+// Runs the whole import against copies and reports the outcome; nothing is saved
+async function dryRunImport(result) {
+  const { users, elections } = planImport(result.imported, $("#import-mode")?.value || "merge");
+  let failing = 0;
+  for (const el of Object.values(elections)) {
+    if (!el.pendingBallots && !(await verifyElectionLog(el)).ok) failing += 1;
+  }
+  const ballots = Object.values(elections).reduce((sum, el) => sum + el.log.length + (el.pendingBallots || []).length, 0);
+  const out = $("#import-dry-run");
+  if (out) {
+    out.textContent = `Dry run: ${useServer() ? "" : `${Object.keys(users).length} users, `}` +
+      `${Object.keys(elections).length} elections and ${ballots} ballots afterwards` +
+      `${failing ? `, ${failing} election logs failing verification` : ""}. Nothing was saved.`;
+  }
+}
 
-  const info = $("#user-vote-info");
-  if (info) {
-    if (voted) {
-      info.textContent = `You already voted for: ${userChoice(state.user)}`;
-    } else {
-      info.textContent = "";
+async function applyImport(result) {
+  const mode = $("#import-mode")?.value || "merge";
+  if (mode === "replace" && !confirm("Replace current data with this file?")) return;
+  const { users, elections } = planImport(result.imported, mode);
+  try {
+    // Server accounts are changed on the server, never copied into this browser
+    if (!useServer()) state.users = users;
+    state.elections = elections;
+    if (!currentElection()) {
+      const first = listElections()[0];
+      setCurrentElection(first ? first.id : null);
+    }
+    persist("users", "elections");
+    await sealPendingBallots();
+    audit("data.imported", {
+      mode,
+      users: Object.keys(result.imported.users || {}).length,
+      elections: Object.keys(result.imported.elections || {}).length,
+    });
+    if (useServer()) {
+      const res = await api("POST", "/api/import", { users: result.imported.users || {}, elections: state.elections, mode }, "admin");
+      state.elections = res.elections;
     }
+  } catch (err) {
+    return toast(err.message, "error");
   }
+  renderImportPreview(null);
+  renderAdmin();
+  renderVoteOptions();
+  renderResultsForUser();
+  toast(mode === "merge" ? "Data merged." : "Data imported.", "success");
 }
 
-function renderResultsBars(container, sorted = false) {
-  if (!container) return 0;
-  container.innerHTML = "";
-  const total = Object.values(state.votes).reduce((a, b) => a + b, 0);
-  const items = state.options.map((opt) => ({
-    opt,
-    count: state.votes[opt] || 0,
-  }));
-  const data = sorted ? items.sort((a, b) => b.count - a.count) : items;
+// ---------- Encrypted backups ----------
+const BACKUP_FORMAT = "votex-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_MIN_PASSPHRASE = 10;
+// State keys added after backups existed; older files simply have none
+const BACKUP_OPTIONAL_KEYS = ["roll"];
+// The audit log and sign-in counts stay on the device: a restore must not rewrite the log or lift a lockout
+const BACKUP_KEYS = Object.keys(STORE_KEYS).filter((key) => !["audit", "loginAttempts"].includes(key));
 
-  data.forEach(({ opt, count }) => {
-    const pct = percent(count, total);
-    const wrap = document.createElement("div");
-    wrap.className = "bar";
-    wrap.innerHTML = `
-          <div class="bar-inner" style="width:${pct}%">
-            <strong style="flex:1">${sanitize(opt)}</strong>
-            <span>${count} (${pct}%)</span>
-          </div>
-        `;
-    container.appendChild(wrap);
-  });
+/**
+ * Derives two keys from the passphrase: AES-GCM for the contents and
+ * HMAC-SHA256 for the signature over the whole file.
+ */
+async function backupKeys(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, base, 512));
+  const [enc, mac] = await Promise.all([
+    crypto.subtle.importKey("raw", bits.slice(0, 32), "AES-GCM", false, ["encrypt", "decrypt"]),
+    crypto.subtle.importKey("raw", bits.slice(32), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]),
+  ]);
+  return { enc, mac };
+}
 
-  return total;
+// The signature covers every field but itself, so the version, date and
+// key-derivation settings can't be altered either
+function backupSignedBytes(b) {
+  return new TextEncoder().encode(JSON.stringify([b.format, b.version, b.schema, b.createdAt, b.kdf, b.iv, b.ciphertext]));
 }
 
-function renderResultsForUser() {
-  const note = $("#results-note");
-  const wrap = $("#user-results-wrap");
-  if (!wrap) return;
+/**
+ * Encrypts every persisted state key, biometrics and face descriptors
+ * included. Returns the backup file's JSON object.
+ */
+async function createBackup(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const { enc, mac } = await backupKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  const snapshot = {};
+  BACKUP_KEYS.forEach((key) => (snapshot[key] = state[key]));
+  snapshot.faceDescriptors = {};
+  Object.entries(state.faceDescriptors).forEach(([user, d]) => (snapshot.faceDescriptors[user] = Array.from(d)));
+  const plain = new TextEncoder().encode(JSON.stringify(snapshot));
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schema: SCHEMA_VERSION,
+    createdAt: Date.now(),
+    kdf: { algo: "PBKDF2-SHA256", iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    iv: toBase64(iv),
+    ciphertext: toBase64(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, enc, plain)),
+  };
+  backup.signature = toBase64(await crypto.subtle.sign("HMAC", mac, backupSignedBytes(backup)));
+  return backup;
+}
 
-  if (!state.settings.showResultsToUsers) {
-    wrap.classList.remove("hidden");
-    const resDiv = $("#results");
-    if (resDiv) resDiv.innerHTML = "";
-    if (note) note.textContent = "Hidden by admin";
-    return;
+/**
+ * Checks the format, version and signature, then decrypts. Throws with a
+ * specific message on any failure; `state` is never touched here.
+ */
+async function openBackup(backup, passphrase) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) throw new Error("This isn't a VoteX backup file.");
+  if (backup.version !== BACKUP_VERSION) throw new Error(`Unsupported backup version ${backup.version}.`);
+  if (!(backup.schema <= SCHEMA_VERSION)) throw new Error("This backup was made by a newer version of VoteX.");
+  const { iterations, salt } = backup.kdf || {};
+  // Bounded so a crafted file can't stall the tab
+  if (!Number.isInteger(iterations) || iterations < 100000 || iterations > 5000000) throw new Error("The backup's key settings are invalid.");
+
+  let keys;
+  let signed = false;
+  try {
+    keys = await backupKeys(passphrase, fromBase64(salt), iterations);
+    signed = await crypto.subtle.verify("HMAC", keys.mac, fromBase64(backup.signature), backupSignedBytes(backup));
+  } catch {
+    signed = false;
   }
-  if (note) note.textContent = "";
-  wrap.classList.remove("hidden");
-  const resDiv = $("#results");
-  if (resDiv) renderResultsBars(resDiv, state.sortByVotes);
-}
+  if (!signed) throw new Error("Signature check failed: wrong passphrase, or the backup was modified.");
 
-function renderVoteView() {
-  const welcome = $("#welcomeUser");
-  if (welcome) welcome.textContent = `Welcome, ${state.user}!`;
-  renderVoteOptions();
-  renderResultsForUser();
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(backup.iv) }, keys.enc, fromBase64(backup.ciphertext));
+  const snapshot = JSON.parse(new TextDecoder().decode(plain));
+  if (isPlainObject(snapshot)) BACKUP_OPTIONAL_KEYS.forEach((key) => (snapshot[key] = snapshot[key] || {}));
+  if (!isPlainObject(snapshot) || !BACKUP_KEYS.every((key) => isPlainObject(snapshot[key])))
+    throw new Error("The backup's contents are incomplete.");
+  return snapshot;
 }
 
-// ---------- Rendering: Admin ----------
-function renderOptionChips() {
-  const chips = $("#option-chips");
-  if (!chips) return;
-  chips.innerHTML = "";
-  state.options.forEach((opt) => {
-    const chip = document.createElement("div");
-    chip.className = "chip";
-    chip.innerHTML = `<span>🏷️</span><span>${sanitize(
-      opt
-    )}</span><button title="Remove">×</button>`;
-    chip.querySelector("button").addEventListener("click", () => {
-      // Remove option and its votes
-      state.options = state.options.filter((o) => o !== opt);
-      delete state.votes[opt];
-      // Also clear userVotes pointing to this option
-      Object.keys(state.userVotes).forEach((u) => {
-        if (state.userVotes[u] === opt) delete state.userVotes[u];
-      });
-      saveAll();
-      renderOptionChips();
-      renderAdmin();
-      renderVoteOptions();
-      renderResultsForUser();
-    });
-    chips.appendChild(chip);
-  });
+async function restoreSnapshot(snapshot) {
+  BACKUP_KEYS.forEach((key) => (state[key] = snapshot[key]));
+  // Which server this browser talks to is a device setting, not backup data
+  state.config = { ...defaults.config, ...snapshot.config, serverUrl: state.config.serverUrl };
+  Object.values(state.elections).forEach(normalizeElection);
+  rehydrateFaceDescriptors();
+  await persist(...BACKUP_KEYS);
+  await sealPendingBallots();
+  if (!currentElection()) {
+    const first = listElections()[0];
+    setCurrentElection(first ? first.id : null);
+  }
 }
 
-function renderAdmin() {
-  // toggles
-  const tv = $("#toggleVoting");
-  if (tv) tv.checked = !!state.settings.votingOpen;
-  const tr = $("#toggleResults");
-  if (tr) tr.checked = !!state.settings.showResultsToUsers;
-  const tf = $("#toggleFaceCheck");
-  if (tf) tf.checked = !!state.settings.requireFaceCheck;
-
-  // results
-  const ar = $("#admin-results");
-  const total = renderResultsBars(ar, state.sortByVotes);
-  const tvLabel = $("#totalVotes");
-  if (tvLabel) tvLabel.textContent = `Total votes: ${total}`;
+async function downloadBackup() {
+  if (useServer()) return toast("With a shared server, back up its data file instead.", "warn");
+  const input = $("#backup-passphrase");
+  const passphrase = input ? input.value : "";
+  if (passphrase.length < BACKUP_MIN_PASSPHRASE)
+    return toast(`Use a passphrase of at least ${BACKUP_MIN_PASSPHRASE} characters.`, "warn");
+  try {
+    const backup = await createBackup(passphrase);
+    const day = new Date(backup.createdAt).toISOString().slice(0, 10);
+    downloadFile(`votex-backup-${day}.json`, JSON.stringify(backup), "application/json");
+    audit("backup.created");
+    toast("Encrypted backup saved. Keep the passphrase safe — it can't be recovered.", "success");
+  } catch (err) {
+    console.error(err);
+    toast("Backup failed: " + err.message, "error");
+  }
+}
 
-  renderOptionChips();
+async function restoreBackup(file) {
+  if (useServer()) return toast("With a shared server, restore its data file instead.", "warn");
+  const passphrase = $("#backup-passphrase")?.value || "";
+  if (!passphrase) return toast("Enter the backup's passphrase first.", "warn");
+  let snapshot;
+  try {
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch {
+      throw new Error("This isn't a VoteX backup file.");
+    }
+    snapshot = await openBackup(backup, passphrase);
+  } catch (err) {
+    return toast(err.message, "error");
+  }
+  const summary = `${Object.keys(snapshot.users).length} users, ${Object.keys(snapshot.elections).length} elections`;
+  if (!confirm(`Restore this backup (${summary})? All current data will be replaced.`)) return;
+  await restoreSnapshot(snapshot);
+  audit("backup.restored", { summary });
+  toast("Backup restored.", "success");
+  // The backup may not include the account that restored it
+  if (!state.admins[state.admin]) return logoutAdmin();
+  renderAdmin();
+  renderVoteOptions();
+  renderResultsForUser();
 }
 
 // ---------- Events ----------
@@ -621,7 +4296,7 @@ function initEvents() {
       const goto = e.target.getAttribute("data-goto");
       if (goto === "register") switchView("#view-register");
       if (goto === "login") switchView("#view-login");
-      if (goto === "admin-login") switchView("#view-admin-login");
+      if (goto === "admin-login") showAdminLogin();
     })
   );
 
@@ -635,116 +4310,358 @@ function initEvents() {
   addEv("#btnCompleteReg", "click", register);
   addEv("#btnLogin", "click", login);
   addEv("#btnAdminLogin", "click", adminLogin);
+  addEv("#btnSetupAdmin", "click", setupFirstAdmin);
+  addEv("#btnAddAdmin", "click", addAdmin);
+  addEv("#btnChangeAdminPass", "click", changeAdminPassword);
   addEv("#btnLogoutUser", "click", logoutUser);
+  addEv("#btnCheckReceipt", "click", checkReceipt);
+  addEv("#btnCopyReceipt", "click", () => {
+    const code = $("#receipt-code")?.textContent;
+    if (code && navigator.clipboard) navigator.clipboard.writeText(code).then(() => toast("Receipt copied.", "success"));
+  });
   addEv("#btnLogoutAdmin", "click", logoutAdmin);
+  addEv("#btnLogoutAllUser", "click", () => logoutEverywhere("user"));
+  addEv("#btnLogoutAllAdmin", "click", () => logoutEverywhere("admin"));
+  addEv("#btnReauth", "click", () => reauthenticate("password"));
+  addEv("#btnReauthPasskey", "click", () => reauthenticate("passkey"));
+  addEv("#reauth-password", "keydown", (e) => e.key === "Enter" && reauthenticate("password"));
+
+  addEv("#btnCreateElection", "click", () => {
+    const title = $("#election-title-input");
+    const desc = $("#election-desc-input");
+    if (!title || !title.value.trim()) return toast("Give the election a title.", "warn");
+    const el = createElection({
+      title: title.value.trim(),
+      description: desc ? desc.value.trim() : "",
+      settings: {
+        ballotType: $("#election-type-input")?.value || "single",
+        maxSelections: Math.max(0, parseInt($("#election-limit-input")?.value, 10) || 0),
+      },
+    });
+    setCurrentElection(el.id);
+    saveElection(el);
+    title.value = "";
+    if (desc) desc.value = "";
+    renderAdmin();
+    toast("Election created.", "success");
+  });
+
+  addEv("#election-type-input", "change", (e) => {
+    const limit = $("#election-limit-field");
+    if (limit) limit.classList.toggle("hidden", e.target.value !== "approval");
+  });
+
+  addEv("#election-select", "change", (e) => {
+    setCurrentElection(e.target.value);
+    renderVoteView();
+  });
 
   addEv("#toggleVoting", "change", (e) => {
-    state.settings.votingOpen = e.target.checked;
-    saveAll();
+    const el = currentElection();
+    if (!el) return;
+    el.settings.votingOpen = e.target.checked;
+    // Reopening after the deadline would be closed again on the next tick
+    if (el.settings.votingOpen && el.settings.closesAt && el.settings.closesAt <= Date.now()) {
+      el.settings.closesAt = null;
+      toast("Closing time cleared.", "warn");
+    }
+    saveElection(el);
+    renderAdmin();
     toast(
-      state.settings.votingOpen ? "Voting opened." : "Voting closed.",
+      el.settings.votingOpen ? "Voting opened." : "Voting closed.",
       "success"
     );
   });
 
+  addEv("#btnSaveSchedule", "click", () => {
+    const el = currentElection();
+    if (!el) return;
+    const parse = (v) => (v ? new Date(v).getTime() : null);
+    const opensAt = parse($("#schedule-open")?.value);
+    const closesAt = parse($("#schedule-close")?.value);
+    if (opensAt && closesAt && closesAt <= opensAt)
+      return toast("Closing time must be after opening time.", "warn");
+    el.settings.opensAt = opensAt;
+    el.settings.closesAt = closesAt;
+    // The open/closed switch is the admin's call; a schedule never reopens an election
+    saveElection(el);
+    applySchedules();
+    renderAdmin();
+    if (!opensAt && !closesAt) toast("Schedule cleared.", "success");
+    else if (el.settings.votingOpen) toast("Schedule saved.", "success");
+    else toast("Schedule saved. Voting stays closed until you switch it on.", "warn");
+  });
+
+  addEv("#btnSaveEligible", "click", saveEligibility);
+
+  addEv("#btnAddRoll", "click", async () => {
+    const input = $("#roll-input");
+    const ids = parseRollList(input?.value || "");
+    if (!ids.length) return toast("Enter at least one ID or email.", "warn");
+    await addToRoll(ids);
+    input.value = "";
+  });
+
+  addEv("#fileRoll", "change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const ids = parseRollList(await file.text());
+    e.target.value = ""; // reset input
+    if (!ids.length) return toast("No identifiers found in that file.", "warn");
+    addToRoll(ids);
+  });
+
+  addEv("#btnInviteCodes", "click", generateInviteCodes);
+
+  addEv("#user-search", "input", renderVoterTable);
+
+  addEv("#user-table", "click", (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (btn) runVoterAction(btn.dataset.action, btn.closest("tr").dataset.user);
+  });
+
+  addEv("#btnSetNewPassword", "click", setNewPassword);
+
+  const auditFilter = $("#audit-filter");
+  if (auditFilter) {
+    auditFilter.innerHTML += Object.entries(AUDIT_CATEGORIES)
+      .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+      .join("");
+  }
+  addEv("#audit-filter", "change", renderAuditLog);
+  addEv("#audit-search", "input", renderAuditLog);
+  addEv("#btnClearAudit", "click", clearAuditLog);
+
+  addEv("#btnExportAudit", "click", () => {
+    const data = { format: "votex-audit", exportedAt: Date.now(), entries: auditEntries() };
+    downloadFile(`votex-audit-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), "application/json");
+  });
+
+  addEv("#btnVerifyAudit", "click", async () => {
+    const box = $("#audit-report");
+    if (!box) return;
+    // Voters' sign-ins and face checks are logged too; check what the server has now
+    if (useServer()) await refreshServerAudit();
+    const report = await verifyAuditLog();
+    box.className = "integrity " + (report.ok ? "ok" : "bad");
+    box.innerHTML = report.ok
+      ? `✅ Chain intact — ${report.count} entries`
+      : `⚠️ Tampering detected:<ul>${report.problems.map((p) => `<li>${sanitize(p)}</li>`).join("")}</ul>`;
+  });
+
+  addEv("#btnClearSchedule", "click", () => {
+    const so = $("#schedule-open");
+    const sc = $("#schedule-close");
+    if (so) so.value = "";
+    if (sc) sc.value = "";
+    $("#btnSaveSchedule")?.click();
+  });
+
   addEv("#toggleResults", "change", (e) => {
-    state.settings.showResultsToUsers = e.target.checked;
-    saveAll();
+    const el = currentElection();
+    if (!el) return;
+    el.settings.showResultsToUsers = e.target.checked;
+    saveElection(el);
     renderResultsForUser();
     toast(
-      state.settings.showResultsToUsers
+      el.settings.showResultsToUsers
         ? "Results visible to users."
         : "Results hidden from users.",
       "success"
     );
   });
 
+  addEv("#toggleShuffle", "change", (e) => {
+    const el = currentElection();
+    if (!el) return;
+    el.settings.shuffleOptions = e.target.checked;
+    saveElection(el);
+    toast(
+      el.settings.shuffleOptions
+        ? "Each voter sees the options in their own order."
+        : "Everyone sees the options in the order listed.",
+      "success"
+    );
+  });
+
+  addEv("#toggleVoteChange", "change", (e) => {
+    const el = currentElection();
+    if (!el) return;
+    el.settings.allowVoteChange = e.target.checked;
+    saveElection(el);
+    toast(
+      el.settings.allowVoteChange
+        ? "Voters can change their ballot until voting closes."
+        : "Ballots are final once cast.",
+      "success"
+    );
+  });
+
+  addEv("#btnConfirmVote", "click", confirmBallot);
+  addEv("#btnEditVote", "click", hideReview);
+
+  addEv("#btnSaveReauth", "click", () => {
+    const el = currentElection();
+    if (!el) return;
+    const minutes = parseInt($("#election-reauth-input")?.value, 10) || 0;
+    if (minutes < 0) return toast("Minutes can't be negative.", "warn");
+    el.settings.reauthMinutes = minutes;
+    saveElection(el);
+    toast(minutes ? `Voters who signed in over ${minutes} min ago confirm it's them first.` : "No extra sign-in before voting.", "success");
+  });
+
   addEv("#toggleFaceCheck", "change", (e) => {
-    state.settings.requireFaceCheck = e.target.checked;
-    saveAll();
+    const el = currentElection();
+    if (!el) return;
+    el.settings.requireFaceCheck = e.target.checked;
+    saveElection(el);
     toast(
-      state.settings.requireFaceCheck
+      el.settings.requireFaceCheck
         ? "Face verification enabled."
         : "Face verification disabled.",
       "success"
     );
   });
 
-  addEv("#btnResetVotes", "click", () => {
-    if (!confirm("Reset all votes and clear who voted?")) return;
-    Object.keys(state.votes).forEach((k) => (state.votes[k] = 0));
-    state.userVotes = {};
-    saveAll();
+  addEv("#btnSaveSecurity", "click", () => {
+    const threshold = parseFloat($("#cfg-face-threshold")?.value);
+    const attempts = parseInt($("#cfg-face-attempts")?.value, 10);
+    const lockout = parseInt($("#cfg-face-lockout")?.value, 10);
+    if (!(threshold >= 0.2 && threshold <= 1)) return toast("Match threshold must be between 0.2 and 1.", "warn");
+    if (!(attempts >= 1) || !(lockout >= 1)) return toast("Attempts and lockout must be at least 1.", "warn");
+    const before = { ...state.config };
+    state.config.faceMatchThreshold = threshold;
+    state.config.faceMaxAttempts = attempts;
+    state.config.faceLockoutMinutes = lockout;
+    state.config.requireLiveness = !!$("#cfg-liveness")?.checked;
+    const order = $("#cfg-model-order")?.value;
+    if (order) state.config.modelSources = order.split(",");
+    persist("config");
+    const changes = Object.keys(state.config)
+      .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(state.config[key]))
+      .map((key) => `${key}: ${before[key]} → ${state.config[key]}`);
+    if (changes.length) audit("settings.updated", { changes });
+    toast("Security settings saved.", "success");
+  });
+
+  addEv("#btnSaveLoginLimits", "click", () => {
+    const attempts = parseInt($("#cfg-login-attempts")?.value, 10);
+    const lockout = parseInt($("#cfg-login-lockout")?.value, 10);
+    if (!(attempts >= 1) || !(lockout >= 1)) return toast("Attempts and lockout must be at least 1.", "warn");
+    const changes = [];
+    if (attempts !== state.config.loginMaxAttempts) changes.push(`loginMaxAttempts: ${state.config.loginMaxAttempts} → ${attempts}`);
+    if (lockout !== state.config.loginLockoutMinutes) changes.push(`loginLockoutMinutes: ${state.config.loginLockoutMinutes} → ${lockout}`);
+    state.config.loginMaxAttempts = attempts;
+    state.config.loginLockoutMinutes = lockout;
+    persist("config");
+    if (changes.length) audit("settings.updated", { changes });
+    toast("Sign-in limits saved.", "success");
+  });
+
+  addEv("#btnSaveServer", "click", async () => {
+    const url = ($("#cfg-server-url")?.value || "").trim();
+    if (url && !/^https?:\/\//.test(url)) return toast("Server URL must start with http:// or https://.", "warn");
+    if (url === state.config.serverUrl) return;
+    await audit("settings.updated", { changes: [`serverUrl: ${state.config.serverUrl || "this browser"} → ${url || "this browser"}`] });
+    state.config.serverUrl = url;
+    await persist("config");
+    // Sessions belong to the old server (or to this browser)
+    signOutOfServer("user");
+    signOutOfServer("admin");
+    ls.del(SESSION_KEYS.user);
+    ls.del(SESSION_KEYS.admin);
+    toast(url ? "Connecting to server…" : "Using this browser's storage.", "success");
+    setTimeout(() => location.reload(), 800);
+  });
+
+  addEv("#btnResetVotes", "click", async () => {
+    const el = currentElection();
+    if (!el) return;
+    if (!confirm(`Reset all votes in "${el.title}" and clear who voted?`)) return;
+    if (useServer()) {
+      try {
+        state.elections[el.id] = (await api("POST", `/api/elections/${el.id}/reset`, {}, "admin")).election;
+      } catch (err) {
+        return toast(err.message, "error");
+      }
+    } else {
+      audit("votes.reset", { election: el.title, ballots: el.log.length });
+      el.log = [];
+      el.voters = [];
+      el.activity = {};
+      el.receiptProofs = {};
+      persist("elections");
+    }
     renderAdmin();
     renderVoteOptions();
     renderResultsForUser();
     toast("Votes reset.", "success");
   });
 
+  addEv("#btnVerify", "click", async () => {
+    const el = currentElection();
+    if (!el) return;
+    const report = await verifyElectionLog(el);
+    renderIntegrity(report);
+    toast(report.ok ? "Ballot log verified." : "Ballot log failed verification!", report.ok ? "success" : "error");
+  });
+
   addEv("#btnExport", "click", () => {
     const payload = {
       users: state.users,
-      votes: state.votes,
-      options: state.options,
-      userVotes: state.userVotes,
-      settings: state.settings,
+      elections: state.elections,
     };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "votex-data.json";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    downloadFile("votex-data.json", JSON.stringify(payload, null, 2), "application/json");
     toast("Exported data.", "success");
   });
 
+  addEv("#btnExportCsv", "click", () => {
+    const el = currentElection();
+    if (!el) return toast("Choose an election first.", "warn");
+    downloadFile(reportFileName(el, "csv"), resultsCsv(el), "text/csv");
+    toast("Results exported as CSV.", "success");
+  });
+
+  addEv("#btnReport", "click", () => {
+    const el = currentElection();
+    if (!el) return toast("Choose an election first.", "warn");
+    printResultsReport(el);
+  });
+
+  addEv("#btnBackup", "click", downloadBackup);
+  addEv("#fileRestore", "change", (e) => {
+    const file = e.target.files?.[0];
+    if (file) restoreBackup(file);
+    e.target.value = "";
+  });
+
   addEv("#fileImport", "change", (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (!confirm("Import will overwrite current data. Continue?")) return;
-        state.users = data.users || {};
-        state.votes = data.votes || {};
-        state.options = data.options || [];
-        state.userVotes = data.userVotes || {};
-        state.settings = data.settings || defaults.settings;
-        saveAll();
-        renderAdmin();
-        renderVoteOptions();
-        renderResultsForUser();
-        toast("Imported data.", "success");
-      } catch {
-        toast("Invalid JSON file.", "error");
-      }
-    };
-    reader.readAsText(file);
+    readImportFile(file);
     e.target.value = ""; // reset input
   });
 
-  addEv("#btnAddOption", "click", () => {
+  addEv("#btnAddOption", "click", async () => {
     const input = $("#option-input");
     if (!input) return;
-    const val = input.value.trim();
-    if (!val) return;
-    const name = val; // Sanitization happens at render time
-    if (state.options.includes(name))
-      return toast("Option already exists.", "warn");
-    state.options.push(name);
-    state.votes[name] = state.votes[name] || 0;
-    saveAll();
+    if (!input.value.trim()) return;
+    const el = currentElection();
+    if (!el) return toast("Create an election first.", "warn");
+    // Sanitization happens at render time
+    let fields;
+    try {
+      fields = cleanOption(el, { title: input.value });
+    } catch (err) {
+      return toast(err.message, "warn");
+    }
+    try {
+      await changeOption(el, "add", { id: newOptionId(), ...fields });
+    } catch (err) {
+      return toast(err.message, "error");
+    }
     input.value = "";
-    renderOptionChips();
-    renderAdmin();
-    renderVoteOptions();
-    renderResultsForUser();
+    refreshOptions();
     toast("Option added.", "success");
   });
 
@@ -822,8 +4739,154 @@ function initEvents() {
 }
 
 // ---------- Startup routing ----------
-function boot() {
+// Ticks countdowns and flips elections open/closed as their windows pass
+function startScheduleClock() {
+  let lastPhase = votingStatus(currentElection()).phase;
+  setInterval(() => {
+    const closed = applySchedules();
+    const phase = votingStatus(currentElection()).phase;
+    const changed = closed || phase !== lastPhase;
+    lastPhase = phase;
+    if ($("#view-vote").classList.contains("active")) {
+      if (changed) renderVoteView();
+      else renderCountdown();
+    }
+    if ($("#view-admin").classList.contains("active")) {
+      if (changed) renderAdmin();
+      else renderSchedule();
+    }
+  }, 1000);
+}
+
+// ---------- Analytics ----------
+const ACTIVITY_SLOT_MS = 5 * 60 * 1000;
+// Chart column widths to choose from: 5 min up to a day
+const CHART_STEPS_MS = [5, 15, 60, 180, 360, 1440].map((m) => m * 60 * 1000);
+const CHART_MAX_COLUMNS = 24;
+const AUTH_METHODS = { password: "Password", face: "Face", biometrics: "Passkey (WebAuthn)" };
+
+// Ballot times are only counted per 5-minute slot, apart from the log, so
+// no timestamp ever sits next to a choice
+function recordBallotTime(el, at = Date.now()) {
+  const slot = at - (at % ACTIVITY_SLOT_MS);
+  el.activity[slot] = (el.activity[slot] || 0) + 1;
+}
+
+// Counts the sign-in method only; who signed in is not recorded
+function recordLogin(method) {
+  state.authStats[method] = (state.authStats[method] || 0) + 1;
+  persist("authStats");
+}
+
+function participationStats() {
+  return useServer()
+    ? state.serverStats
+    : { registered: Object.keys(state.users).length, authStats: state.authStats };
+}
+
+/**
+ * Groups an election's activity slots into chart columns, widening the
+ * columns until the whole voting period fits in CHART_MAX_COLUMNS.
+ */
+function activitySeries(el) {
+  const slots = Object.keys(el.activity).map(Number).sort((a, b) => a - b);
+  if (!slots.length) return { step: ACTIVITY_SLOT_MS, columns: [] };
+  const first = slots[0];
+  const last = slots[slots.length - 1];
+  const step = CHART_STEPS_MS.find((s) => (last - first) / s < CHART_MAX_COLUMNS) || CHART_STEPS_MS[CHART_STEPS_MS.length - 1];
+  const start = first - (first % step);
+  const columns = [];
+  for (let t = start; t <= last; t += step) columns.push({ start: t, count: 0 });
+  slots.forEach((slot) => (columns[Math.floor((slot - start) / step)].count += el.activity[slot]));
+  return { step, columns };
+}
+
+// ---------- Live updates ----------
+// Other tabs of this browser hear about saved elections on this channel
+const liveChannel = window.BroadcastChannel ? new BroadcastChannel("votex") : null;
+
+function announceElectionsChanged() {
+  if (liveChannel) liveChannel.postMessage({ type: "elections" });
+}
+
+/**
+ * Re-renders whatever shows tallies after elections changed elsewhere.
+ * Forms are left alone so nobody loses what they are typing.
+ */
+function renderLiveResults() {
+  if (!currentElection() && listElections().length) setCurrentElection(listElections()[0].id);
+  if ($("#view-vote").classList.contains("active")) {
+    renderElectionPicker();
+    renderVoteOptions();
+    renderResultsForUser();
+  }
+  if ($("#view-admin").classList.contains("active")) {
+    renderElectionList();
+    renderAdminResults();
+    renderAnalytics();
+    renderRollPending();
+    renderVoterTable();
+    renderIntegrity();
+  }
+}
+
+let eventSource = null;
+
+// (Re)opened whenever someone signs in or out: the stream only names the
+// elections that session is allowed to see
+function openEventStream() {
+  if (!useServer() || !window.EventSource) return;
+  if (eventSource) eventSource.close();
+  const token = ls.rawGet(SESSION_KEYS[viewerRole()]);
+  const source = new EventSource(apiBase() + "/api/events" + (token ? "?token=" + encodeURIComponent(token) : ""));
+  let dropped = false;
+  // Only says which elections changed; what this session may see of them is fetched
+  source.addEventListener("elections", () => reloadElections());
+  source.addEventListener("error", () => (dropped = true));
+  source.addEventListener("open", () => {
+    // Catch up on anything missed while disconnected
+    if (dropped) reloadElections();
+    dropped = false;
+  });
+  eventSource = source;
+}
+
+async function reloadElections() {
+  try {
+    if (useServer()) await pullElections();
+    else state.elections = (await store.get("elections")) || {};
+    renderLiveResults();
+  } catch (err) {
+    console.error("Live update failed:", err);
+  }
+}
+
+/**
+ * Server mode listens to the server's event stream; otherwise other tabs
+ * announce changes over BroadcastChannel, with the storage event as the
+ * fallback for browsers without it (elections then live in localStorage).
+ */
+function startLiveUpdates() {
+  if (useServer()) return openEventStream();
+  if (liveChannel) {
+    liveChannel.addEventListener("message", (e) => {
+      if (e.data && e.data.type === "elections") reloadElections();
+    });
+  } else {
+    window.addEventListener("storage", (e) => {
+      if (e.key === STORE_KEYS.elections) reloadElections();
+    });
+  }
+}
+
+async function boot() {
+  await loadState();
   initEvents();
+  registerServiceWorker();
+  await sealPendingBallots();
+  startScheduleClock();
+  startSessionClock();
+  startLiveUpdates();
   if (state.admin) {
     renderAdmin();
     switchView("#view-admin");
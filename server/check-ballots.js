@@ -0,0 +1,99 @@
+/**
+ * VoteX - Changed-vote check
+ * Starts the server on a spare port with a throwaway data file, then has two
+ * voters cast and change ballots in an election that allows changes. Exits
+ * non-zero if a voter can replace someone else's ballot with their receipt,
+ * can't replace their own, or if the tally moves the wrong ballot.
+ *
+ *   node server/check-ballots.js
+ */
+"use strict";
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+let failures = 0;
+
+function check(name, ok, detail) {
+  if (!ok) failures++;
+  console.log(`${ok ? "ok" : "not ok"} - ${name}${ok || !detail ? "" : `: ${detail}`}`);
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(port, dataFile) {
+  const child = spawn(process.execPath, [path.join(__dirname, "server.js")], {
+    env: { ...process.env, PORT: String(port), VOTEX_DATA: dataFile },
+    stdio: "ignore",
+  });
+  for (let i = 0; i < 50; i++) {
+    try {
+      await fetch(`http://localhost:${port}/api/health`);
+      return child;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  throw new Error("The server didn't start.");
+}
+
+(async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "votex-check-"));
+  const port = await freePort();
+  const child = await startServer(port, path.join(dir, "data.json"));
+
+  const api = async (method, url, body, token) => {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(`http://localhost:${port}${url}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, data: await res.json() };
+  };
+
+  try {
+    const admin = (await api("POST", "/api/admin/setup", { username: "admin", password: "check-admin-1" })).data.token;
+    const id = Object.keys((await api("GET", "/api/elections")).data.elections)[0];
+    const saved = await api("PUT", `/api/elections/${id}`, { title: "Check", settings: { allowVoteChange: true, requireFaceCheck: false } }, admin);
+    const [first, second, third] = saved.data.election.options.map((o) => o.id);
+    const alice = (await api("POST", "/api/register", { username: "alice", password: "check-voter-1" })).data.token;
+    const bobby = (await api("POST", "/api/register", { username: "bobby", password: "check-voter-1" })).data.token;
+    const ballots = `/api/elections/${id}/ballots`;
+
+    const aliceBallot = await api("POST", ballots, { choices: [first] }, alice);
+    const bobbyBallot = await api("POST", ballots, { choices: [second] }, bobby);
+    check("both voters cast a ballot", aliceBallot.status === 200 && bobbyBallot.status === 200);
+
+    let res = await api("POST", ballots, { choices: [third], replaces: bobbyBallot.data.receipt }, alice);
+    check("alice can't replace bobby's ballot with his receipt", res.status === 409, `${res.status} ${res.data.error || ""}`);
+    res = await api("POST", "/api/receipts", { code: bobbyBallot.data.receipt });
+    check("bobby's ballot still counts", res.data.replaced === false, JSON.stringify(res.data));
+
+    res = await api("POST", ballots, { choices: [third], replaces: aliceBallot.data.receipt }, alice);
+    check("alice can replace her own ballot", res.status === 200, `${res.status} ${res.data.error || ""}`);
+    res = await api("POST", ballots, { choices: [first], replaces: aliceBallot.data.receipt }, alice);
+    check("alice can't replace the same ballot twice", res.status === 409, `${res.status} ${res.data.error || ""}`);
+
+    const { tally } = (await api("GET", `/api/elections/${id}/results`)).data;
+    check("the tally counts bobby's ballot and alice's new one", tally[first] === 0 && tally[second] === 1 && tally[third] === 1, JSON.stringify(tally));
+  } finally {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log(failures ? `${failures} check(s) failed` : "All ballot checks passed");
+  process.exit(failures ? 1 : 0);
+})().catch((err) => {
+  console.log(`not ok - ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+/**
+ * VoteX - Passkey verification check
+ * Runs the checks in ../webauthn.js against a software authenticator: an
+ * ES256 key pair that answers registration and sign-in the way a browser
+ * authenticator does, and can be told to misbehave. Exits non-zero if any
+ * check lets a bad response through or turns a good one away.
+ *
+ *   node server/check-passkeys.js
+ */
+"use strict";
+
+const crypto = require("crypto");
+const { verifyRegistration, verifyAssertion } = require("../webauthn");
+
+const ORIGIN = "https://vote.example.org";
+const RP_ID = "vote.example.org";
+
+// ---------- Software authenticator ----------
+// Encodes the CBOR the authenticator sends: integers, strings, bytes and maps
+function cbor(value) {
+  const head = (major, n) => {
+    if (n < 24) return Buffer.from([(major << 5) | n]);
+    if (n < 256) return Buffer.from([(major << 5) | 24, n]);
+    const b = Buffer.alloc(3);
+    b[0] = (major << 5) | 25;
+    b.writeUInt16BE(n, 1);
+    return b;
+  };
+  if (typeof value === "number") return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (typeof value === "string") return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (value instanceof Map) {
+    return Buffer.concat([head(5, value.size), ...[...value].flatMap(([k, v]) => [cbor(k), cbor(v)])]);
+  }
+  throw new Error(`Can't encode ${value}.`);
+}
+
+function createAuthenticator() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const id = crypto.randomBytes(16);
+  let counter = 0;
+
+  const authData = (count, attested) => {
+    const flags = 0x01 | 0x04 | (attested ? 0x40 : 0); // user present and verified
+    const parts = [crypto.createHash("sha256").update(RP_ID).digest(), Buffer.from([flags]), Buffer.alloc(4)];
+    parts[2].writeUInt32BE(count);
+    if (attested) {
+      const jwk = publicKey.export({ format: "jwk" });
+      const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, "base64url")], [-3, Buffer.from(jwk.y, "base64url")]]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(id.length);
+      parts.push(Buffer.alloc(16), idLength, id, cbor(coseKey));
+    }
+    return Buffer.concat(parts);
+  };
+  const clientData = (type, challenge, origin = ORIGIN) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+  return {
+    register(challenge, { origin } = {}) {
+      const attestationObject = cbor(new Map([["fmt", "none"], ["attStmt", new Map()], ["authData", authData(0, true)]]));
+      return { clientDataJSON: clientData("webauthn.create", challenge, origin), attestationObject };
+    },
+    // `count` replays a given counter value instead of moving forward
+    signIn(challenge, { origin, count, signer = privateKey } = {}) {
+      const authenticatorData = authData(count === undefined ? ++counter : count, false);
+      const clientDataJSON = clientData("webauthn.get", challenge, origin);
+      const signed = Buffer.concat([authenticatorData, crypto.createHash("sha256").update(clientDataJSON).digest()]);
+      return { clientDataJSON, authenticatorData, signature: crypto.sign("sha256", signed, signer) };
+    },
+  };
+}
+
+// ---------- Checks ----------
+const challenge = () => crypto.randomBytes(32).toString("base64url");
+const expectation = (value) => ({ challenge: value, origin: ORIGIN, rpId: RP_ID });
+let failures = 0;
+
+async function accepts(name, run) {
+  try {
+    await run();
+    console.log(`ok - ${name}`);
+  } catch (err) {
+    failures++;
+    console.log(`not ok - ${name}: ${err.message}`);
+  }
+}
+
+async function rejects(name, run, message) {
+  try {
+    await run();
+    failures++;
+    console.log(`not ok - ${name}: accepted`);
+  } catch (err) {
+    const expected = err.message === message;
+    if (!expected) failures++;
+    console.log(`${expected ? "ok" : "not ok"} - ${name}${expected ? "" : `: ${err.message}`}`);
+  }
+}
+
+(async () => {
+  const authenticator = createAuthenticator();
+  let credential;
+
+  await accepts("registration with the issued challenge", async () => {
+    const value = challenge();
+    credential = await verifyRegistration(authenticator.register(value), expectation(value));
+  });
+  if (!credential) process.exit(1);
+  await rejects(
+    "registration with another challenge",
+    () => verifyRegistration(authenticator.register(challenge()), expectation(challenge())),
+    "Passkey challenge does not match."
+  );
+  await rejects(
+    "registration from another origin",
+    () => {
+      const value = challenge();
+      return verifyRegistration(authenticator.register(value, { origin: "https://evil.example" }), expectation(value));
+    },
+    "Passkey was used on another site."
+  );
+
+  await accepts("sign-in signed by the registered key", async () => {
+    const value = challenge();
+    const { signCount } = await verifyAssertion(authenticator.signIn(value), expectation(value), credential);
+    credential.signCount = signCount;
+  });
+  await rejects(
+    "sign-in with another challenge",
+    () => verifyAssertion(authenticator.signIn(challenge()), expectation(challenge()), credential),
+    "Passkey challenge does not match."
+  );
+  await rejects(
+    "sign-in from another origin",
+    () => {
+      const value = challenge();
+      return verifyAssertion(authenticator.signIn(value, { origin: "https://evil.example" }), expectation(value), credential);
+    },
+    "Passkey was used on another site."
+  );
+  await rejects(
+    "sign-in signed by another key",
+    () => {
+      const value = challenge();
+      const { privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+      return verifyAssertion(authenticator.signIn(value, { signer: privateKey }), expectation(value), credential);
+    },
+    "Passkey signature is invalid."
+  );
+  await rejects(
+    "sign-in with tampered authenticator data",
+    () => {
+      const value = challenge();
+      const response = authenticator.signIn(value);
+      response.authenticatorData.writeUInt32BE(credential.signCount + 100, 33);
+      return verifyAssertion(response, expectation(value), credential);
+    },
+    "Passkey signature is invalid."
+  );
+  await rejects(
+    "sign-in with a counter that goes backwards",
+    () => {
+      const value = challenge();
+      return verifyAssertion(authenticator.signIn(value, { count: credential.signCount - 1 }), expectation(value), credential);
+    },
+    "Passkey sign counter went backwards; the authenticator may have been cloned."
+  );
+  await rejects(
+    "sign-in with a counter that stalls",
+    () => {
+      const value = challenge();
+      return verifyAssertion(authenticator.signIn(value, { count: credential.signCount }), expectation(value), credential);
+    },
+    "Passkey sign counter went backwards; the authenticator may have been cloned."
+  );
+
+  console.log(failures ? `${failures} check(s) failed` : "All passkey checks passed");
+  process.exit(failures ? 1 : 0);
+})();
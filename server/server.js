@@ -0,0 +1,1511 @@
+/**
+ * VoteX - Shared Server
+ * Serves the app and a small JSON API so every device sees the same
+ * elections and ballots. Uses only Node's built-in modules:
+ *
+ *   node server/server.js                       # http://localhost:8080
+ *   PORT=3000 VOTEX_DATA=/srv/votex.json node server/server.js
+ *
+ * Everything is kept in one JSON file. The rules vote() enforces in the
+ * browser (voting window, one ballot per voter, valid choices) are enforced
+ * here as well, so a modified client can't get around them.
+ */
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { PASSKEY_ALGS, verifyRegistration, verifyAssertion } = require("../webauthn");
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const ROOT = path.resolve(__dirname, "..");
+const DATA_FILE = process.env.VOTEX_DATA || path.join(__dirname, "votex-data.json");
+// Same lifetimes as SESSION_POLICY in script.js; admin sessions are shorter
+const SESSION_POLICY = {
+  user: { ttl: 12 * 60 * 60 * 1000, idle: 30 * 60 * 1000 },
+  admin: { ttl: 2 * 60 * 60 * 1000, idle: 15 * 60 * 1000 },
+};
+const PBKDF2_ITERATIONS = 210000;
+const FACE_MATCH_THRESHOLD = 0.55; // same default as the browser's faceMatchThreshold
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const GENESIS_HASH = "0".repeat(64);
+const PASSKEY_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+// Same defaults as the browser's loginMaxAttempts / loginLockoutMinutes
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_BACKOFF_MS = 1000;
+const ADDRESS_ATTEMPT_FACTOR = 4;
+// Pages allowed to use passkeys, e.g. "https://vote.example.org"; unset trusts the page's own origin
+const PASSKEY_ORIGINS = (process.env.VOTEX_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
+
+const defaultOptions = ["Option A", "Option B", "Option C"];
+const defaultSettings = {
+  ballotType: "single",
+  maxSelections: 0,
+  votingOpen: true,
+  showResultsToUsers: true,
+  requireFaceCheck: true,
+  opensAt: null,
+  closesAt: null,
+  reauthMinutes: 0,
+  shuffleOptions: false,
+  allowVoteChange: false,
+};
+const BALLOT_TYPES = ["single", "ranked", "approval"];
+
+// ---------- Storage ----------
+function emptyData() {
+  return { users: {}, admins: {}, elections: {}, faceDescriptors: {}, passkeys: {}, authStats: {}, roll: {}, audit: [], revokedSessions: {}, loginAttempts: {} };
+}
+
+function load() {
+  try {
+    return { ...emptyData(), ...JSON.parse(fs.readFileSync(DATA_FILE, "utf8")) };
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    return emptyData();
+  }
+}
+
+const db = load();
+// Options from before ids existed keep their name as their id, which is what their ballots hold
+Object.values(db.elections).forEach((el) => (el.options = el.options.map(toOption)));
+
+// Written to a temp file first so a crash mid-write never truncates the data
+function save() {
+  const tmp = DATA_FILE + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+// ---------- Errors ----------
+// `code` tells the client what to do about it, e.g. "reauth"
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function assert(condition, status, message, code) {
+  if (!condition) throw new HttpError(status, message, code);
+}
+
+// ---------- Passwords & sessions ----------
+// Same record format as hashPassword() in script.js, so exported users import cleanly
+async function hashPassword(pass, salt = crypto.randomBytes(16), iterations = PBKDF2_ITERATIONS) {
+  const hash = await pbkdf2(pass, salt, iterations, 32, "sha256");
+  return { algo: "PBKDF2-SHA256", iterations, salt: salt.toString("base64"), hash: hash.toString("base64") };
+}
+
+async function verifyPassword(pass, record) {
+  if (!record || !record.salt) return false;
+  const { hash } = await hashPassword(String(pass), Buffer.from(record.salt, "base64"), record.iterations);
+  const a = Buffer.from(hash);
+  const b = Buffer.from(record.hash);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/*
+ * Session tokens are signed rather than looked up: base64url(JSON payload)
+ * + "." + HMAC, payload { sid, sub, role, iat, exp, authAt }. The key is kept
+ * with the data, so sessions survive a restart. Logging out revokes one sid;
+ * "log out everywhere" (and disabling or resetting an account) moves the
+ * account's sessionsValidFrom past every token issued so far.
+ */
+function sessionSecret() {
+  if (!db.sessionSecret) {
+    db.sessionSecret = crypto.randomBytes(32).toString("base64");
+    save();
+  }
+  return Buffer.from(db.sessionSecret, "base64");
+}
+
+// sid -> time of its last request; kept in memory, so a restart restarts idle timers
+const lastSeen = new Map();
+
+function tokenSignature(body) {
+  return crypto.createHmac("sha256", sessionSecret()).update(body).digest("base64url");
+}
+
+function startSession(username, role) {
+  const now = Date.now();
+  const longestIdle = Math.max(...Object.values(SESSION_POLICY).map((p) => p.idle));
+  lastSeen.forEach((at, sid) => now - at > longestIdle && lastSeen.delete(sid));
+  const sid = crypto.randomBytes(16).toString("base64url");
+  const payload = { sid, sub: username, role, iat: now, exp: now + SESSION_POLICY[role].ttl, authAt: now };
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  lastSeen.set(sid, now);
+  return body + "." + tokenSignature(body);
+}
+
+function accountRecord(role, username) {
+  return (role === "admin" ? db.admins : db.users)[username] || null;
+}
+
+// Signs a voter or admin out everywhere, e.g. once their account is disabled; callers save()
+function endSessions(username, role) {
+  const record = accountRecord(role, username);
+  if (record) record.sessionsValidFrom = Date.now();
+}
+
+// Remembered until the token would have expired anyway; callers save()
+function revokeSession(session) {
+  const now = Date.now();
+  Object.keys(db.revokedSessions).forEach((sid) => db.revokedSessions[sid] < now && delete db.revokedSessions[sid]);
+  db.revokedSessions[session.sid] = session.expires;
+  lastSeen.delete(session.sid);
+}
+
+function sessionForToken(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+  const expected = Buffer.from(tokenSignature(body));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  const now = Date.now();
+  const policy = SESSION_POLICY[payload.role];
+  const record = policy && accountRecord(payload.role, payload.sub);
+  if (!record || payload.exp <= now || db.revokedSessions[payload.sid]) return null;
+  if (payload.iat < (record.sessionsValidFrom || 0) || (payload.role === "user" && record.disabled)) return null;
+  // A token not seen since a restart starts a fresh idle timer
+  if (now - (lastSeen.get(payload.sid) || now) > policy.idle) {
+    lastSeen.delete(payload.sid);
+    return null;
+  }
+  lastSeen.set(payload.sid, now);
+  return { username: payload.sub, role: payload.role, sid: payload.sid, expires: payload.exp, authAt: payload.authAt };
+}
+
+function sessionFor(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  return sessionForToken(match && match[1]);
+}
+
+// What a voter gets back from any successful sign-in
+function signedIn(username) {
+  const record = db.users[username];
+  return {
+    token: startSession(username, "user"),
+    username,
+    faceDescriptor: db.faceDescriptors[username] || null,
+    mustChangePassword: !!record.mustChangePassword,
+    mustEnrollFace: !!record.mustEnrollFace,
+  };
+}
+
+// ---------- Sign-in throttling ----------
+// Same scheme as the browser's: failures are counted per account and per client
+// address, each one doubles the wait before the next try, and LOGIN_MAX_ATTEMPTS
+// in a row lock the account until the lockout runs out or an admin lifts it.
+// An address gets ADDRESS_ATTEMPT_FACTOR times as many tries over all accounts,
+// and its wait grows that much slower.
+
+// Names are capped so a failed sign-in with a huge one can't bloat the file
+function accountKey(role, username) {
+  return `${role}:${String(username).slice(0, 40)}`;
+}
+
+function attemptKeys(role, username, req) {
+  return [accountKey(role, username), `ip:${req.socket.remoteAddress}`];
+}
+
+function waitText(ms) {
+  return ms < 60000 ? `${Math.ceil(ms / 1000)} seconds` : `${Math.ceil(ms / 60000)} minutes`;
+}
+
+// Throws a 429 while `username` (or this address) has to wait
+function checkLoginBlock(role, username, req) {
+  const now = Date.now();
+  attemptKeys(role, username, req).forEach((key) => {
+    const rec = db.loginAttempts[key];
+    if (!rec) return;
+    const locked = `Too many failed sign-ins. Locked for ${waitText(rec.lockedUntil - now)}; an admin can unlock it sooner.`;
+    assert(!(rec.lockedUntil > now), 429, locked, "locked");
+    assert(!(rec.retryAt > now), 429, `Too many attempts. Try again in ${waitText(rec.retryAt - now)}.`, "backoff");
+  });
+}
+
+// Callers save
+function recordLoginFailure(role, username, req) {
+  const now = Date.now();
+  Object.keys(db.loginAttempts).forEach((key) => {
+    const rec = db.loginAttempts[key];
+    if (now - rec.lastFailureAt > LOGIN_LOCKOUT_MS && !(rec.lockedUntil > now)) delete db.loginAttempts[key];
+  });
+  attemptKeys(role, username, req).forEach((key) => {
+    const rec = db.loginAttempts[key] || { failures: 0, lastFailureAt: 0, retryAt: 0, lockedUntil: 0 };
+    const factor = key.startsWith("ip:") ? ADDRESS_ATTEMPT_FACTOR : 1;
+    rec.failures += 1;
+    rec.lastFailureAt = now;
+    if (rec.failures >= LOGIN_MAX_ATTEMPTS * factor) {
+      rec.failures = 0;
+      rec.lockedUntil = now + LOGIN_LOCKOUT_MS;
+      audit("login.lockout", { account: key, minutes: LOGIN_LOCKOUT_MS / 60000 }, ANONYMOUS);
+    } else {
+      rec.retryAt = now + Math.min(LOGIN_BACKOFF_MS * 2 ** (Math.ceil(rec.failures / factor) - 1), LOGIN_LOCKOUT_MS);
+    }
+    db.loginAttempts[key] = rec;
+  });
+}
+
+// A successful sign-in clears the account's count; the address's runs out on its own
+function clearLoginFailures(role, username) {
+  delete db.loginAttempts[accountKey(role, username)];
+}
+
+function isLockedOut(key) {
+  return (db.loginAttempts[key] || {}).lockedUntil > Date.now();
+}
+
+// ---------- Passkeys ----------
+// challenge -> { type, username, userHandle, expires }; each is good for one attempt
+const challenges = new Map();
+
+function issueChallenge(type, details = {}) {
+  const now = Date.now();
+  challenges.forEach((pending, challenge) => pending.expires < now && challenges.delete(challenge));
+  const challenge = crypto.randomBytes(32).toString("base64url");
+  challenges.set(challenge, { type, ...details, expires: now + PASSKEY_CHALLENGE_TTL_MS });
+  return challenge;
+}
+
+// Looked up by the challenge the authenticator signed, then used up
+function takeChallenge(clientDataJSON, type) {
+  let challenge;
+  try {
+    challenge = JSON.parse(Buffer.from(String(clientDataJSON), "base64url").toString("utf8")).challenge;
+  } catch {
+    challenge = null;
+  }
+  const pending = typeof challenge === "string" ? challenges.get(challenge) : null;
+  challenges.delete(challenge);
+  assert(pending && pending.type === type && pending.expires > Date.now(), 400, "This passkey request has expired. Please try again.");
+  return { ...pending, challenge };
+}
+
+// The relying party is the page's host, which the browser reports in Origin
+function passkeyExpectation(req, challenge) {
+  const origin = req.headers.origin;
+  let rpId = null;
+  try {
+    rpId = new URL(origin).hostname;
+  } catch {
+    rpId = null;
+  }
+  assert(rpId && (!PASSKEY_ORIGINS.length || PASSKEY_ORIGINS.includes(origin)), 400, "Passkeys can't be used from this page.");
+  return { challenge, origin, rpId };
+}
+
+function passkeyResponse(body, fields) {
+  const response = {};
+  fields.forEach((field) => {
+    assert(typeof body[field] === "string" && body[field], 400, "Incomplete passkey response.");
+    response[field] = Buffer.from(body[field], "base64url");
+  });
+  return response;
+}
+
+function findPasskey(id) {
+  for (const [username, passkeys] of Object.entries(db.passkeys)) {
+    const passkey = passkeys.find((p) => p.id === id);
+    if (passkey) return { username, passkey };
+  }
+  return null;
+}
+
+function validateUsername(name) {
+  assert(typeof name === "string" && name.length >= 3, 400, "Username must be at least 3 characters.");
+  assert(/^[A-Za-z0-9_]+$/.test(name), 400, "Only letters, numbers, and underscore allowed.");
+}
+
+// ---------- Elections ----------
+function createElection({ id, title, description = "", options, settings, createdAt } = {}) {
+  const el = {
+    id: id || "el_" + Date.now().toString(36) + crypto.randomBytes(2).toString("hex"),
+    title: title || "Untitled election",
+    description,
+    options: (Array.isArray(options) && options.length ? options : defaultOptions).map(toOption),
+    log: [],
+    voters: [],
+    activity: {},
+    receiptProofs: {},
+    eligible: null,
+    settings: pickSettings(settings),
+    archived: false,
+    createdAt: createdAt || Date.now(),
+  };
+  db.elections[el.id] = el;
+  return el;
+}
+
+// Same record as toOption() in script.js: { id, title, description, image, link }
+function toOption(option) {
+  if (typeof option === "string") return { id: option, title: option, description: "", image: "", link: "" };
+  assert(option && typeof option === "object" && option.id, 400, "Options need an id and a title.");
+  const { id, title, description = "", image = "", link = "" } = option;
+  return { id: String(id), title: String(title || id), description: String(description), image: String(image), link: String(link) };
+}
+
+// Mirrors cleanOption() in script.js
+function pickOption(el, body, id = null) {
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  const fields = { title: text(body.title), description: text(body.description), image: text(body.image), link: text(body.link) };
+  assert(fields.title, 400, "Option title is required.");
+  assert(
+    !el.options.some((opt) => opt.id !== id && opt.title.toLowerCase() === fields.title.toLowerCase()),
+    409,
+    "Option already exists."
+  );
+  assert(!fields.image || /^https?:\/\//i.test(fields.image), 400, "Image must be an http(s) address.");
+  assert(!fields.link || /^https?:\/\//i.test(fields.link), 400, "Link must be an http(s) address.");
+  return fields;
+}
+
+function findOption(el, id) {
+  const option = el.options.find((opt) => opt.id === id);
+  assert(option, 404, "Option not found.");
+  return option;
+}
+
+// What each setting may hold; saveElection refuses anything else
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isFlag = (v) => typeof v === "boolean";
+const isTimeOrNull = (v) => v === null || Number.isFinite(v);
+const SETTING_CHECKS = {
+  ballotType: (v) => BALLOT_TYPES.includes(v),
+  maxSelections: isCount,
+  votingOpen: isFlag,
+  showResultsToUsers: isFlag,
+  requireFaceCheck: isFlag,
+  opensAt: isTimeOrNull,
+  closesAt: isTimeOrNull,
+  reauthMinutes: isCount,
+  shuffleOptions: isFlag,
+  allowVoteChange: isFlag,
+};
+
+function validateSettings(settings) {
+  if (settings === undefined) return;
+  assert(isPlainObject(settings), 400, "Settings must be an object.");
+  Object.keys(SETTING_CHECKS).forEach((key) => {
+    assert(settings[key] === undefined || SETTING_CHECKS[key](settings[key]), 400, `Invalid value for the "${key}" setting.`);
+  });
+}
+
+// Only known settings are stored, whatever the client sends
+function pickSettings(settings = {}, base = defaultSettings) {
+  const out = { ...base };
+  Object.keys(defaultSettings).forEach((key) => {
+    if (settings[key] !== undefined) out[key] = settings[key];
+  });
+  return out;
+}
+
+// Mirrors canVoteIn() in script.js: restricted elections are only visible to
+// admins and to voters whose roll entry is on the election's list
+function visibleTo(session, el) {
+  if (!Array.isArray(el.eligible) || (session && session.role === "admin")) return true;
+  const user = session && db.users[session.username];
+  return !!(user && db.roll[user.rollId] && el.eligible.includes(user.rollId));
+}
+
+/*
+ * What an election looks like to everyone but admins: no voter list, ballot
+ * log, activity or roll, which together would let anyone watching between
+ * two ballots pair a name with a choice. Callers learn whether they have
+ * voted themselves; counts come from /results.
+ */
+function electionView(el, session) {
+  if (session && session.role === "admin") return el;
+  const { id, title, description, options, settings, archived, createdAt } = el;
+  const voted = !!session && el.voters.includes(session.username);
+  return { id, title, description, options, settings, archived, createdAt, voted };
+}
+
+function visibleElections(session) {
+  const out = {};
+  Object.values(db.elections).forEach((el) => {
+    if (visibleTo(session, el)) out[el.id] = electionView(el, session);
+  });
+  return out;
+}
+
+function findElection(id) {
+  const el = db.elections[id];
+  assert(el, 404, "Election not found.");
+  return el;
+}
+
+// Mirrors votingStatus() in script.js
+function votingStatus(el, now = Date.now()) {
+  if (el.archived) return { open: false, message: "This election is not available." };
+  const { votingOpen, opensAt, closesAt } = el.settings;
+  if (!votingOpen) return { open: false, message: "Voting is currently closed." };
+  if (opensAt && now < opensAt) return { open: false, message: "Voting has not opened yet." };
+  if (closesAt && now >= closesAt) return { open: false, message: "Voting has closed." };
+  return { open: true, message: "" };
+}
+
+function applySchedules(now = Date.now()) {
+  const closed = {};
+  Object.values(db.elections).forEach((el) => {
+    if (el.settings.votingOpen && el.settings.closesAt && now >= el.settings.closesAt) {
+      el.settings.votingOpen = false;
+      closed[el.id] = el;
+    }
+  });
+  if (!Object.keys(closed).length) return;
+  save();
+  publish(closed);
+}
+
+function validateChoices(el, choices) {
+  const { ballotType, maxSelections } = el.settings;
+  assert(Array.isArray(choices) && choices.length, 400, "Select at least one option.");
+  assert(new Set(choices).size === choices.length, 400, "Each option can only be chosen once.");
+  const ids = el.options.map((opt) => opt.id);
+  assert(choices.every((id) => ids.includes(id)), 400, "Invalid option.");
+  if (ballotType === "single") assert(choices.length === 1, 400, "Choose exactly one option.");
+  if (ballotType === "approval" && maxSelections) {
+    assert(choices.length <= maxSelections, 400, `You can select at most ${maxSelections} options.`);
+  }
+}
+
+// ---------- Ballot log ----------
+function sha256Hex(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Must hash exactly like entryHash() in script.js so the browser can verify the chain
+function entryHash(el, { seq, prev, ballot }) {
+  const { choices = null, receipt = null, replaces = null } = ballot || {};
+  const fields = [el.id, seq, prev, choices, receipt];
+  if (replaces !== null) fields.push(replaces);
+  return sha256Hex(JSON.stringify(fields));
+}
+
+// Log positions of ballots whose voter has since changed their vote
+function replacedBallots(el) {
+  return new Set(el.log.map(({ ballot }) => ballot && ballot.replaces).filter(Number.isInteger));
+}
+
+function appendBallot(el, ballot) {
+  const seq = el.log.length;
+  const prev = seq ? el.log[seq - 1].hash : GENESIS_HASH;
+  const entry = { seq, prev, ballot };
+  entry.hash = entryHash(el, entry);
+  el.log.push(entry);
+  return entry;
+}
+
+// Same 5-minute slots as recordBallotTime() in script.js, kept apart from the log
+const ACTIVITY_SLOT_MS = 5 * 60 * 1000;
+
+function recordBallotTime(el, at = Date.now()) {
+  const slot = at - (at % ACTIVITY_SLOT_MS);
+  el.activity = el.activity || {};
+  el.activity[slot] = (el.activity[slot] || 0) + 1;
+}
+
+function generateCode(prefix) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const chars = Array.from(crypto.randomBytes(12), (b) => alphabet[b % alphabet.length]).join("");
+  return `${prefix}-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+}
+
+function generateReceiptCode() {
+  return generateCode("VX");
+}
+
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// Only a receipt's hash is stored; codes match however they were typed
+function receiptHash(code) {
+  return sha256Hex(normalizeCode(code));
+}
+
+/*
+ * Ties a voter to their current ballot without saying which one it is: an
+ * HMAC of the election and username keyed with that ballot's receipt code.
+ * Only the voter holds the code, so only they can produce it again, and the
+ * data file can't be matched against the receipt hashes in the log.
+ */
+function receiptProof(el, username, code) {
+  return crypto.createHmac("sha256", normalizeCode(code)).update(`${el.id}:${username}`).digest("hex");
+}
+
+// Log position of the ballot with this receipt if it still counts, else -1
+function countedBallotIndex(el, code) {
+  const receipt = receiptHash(code);
+  const i = el.log.findIndex(({ ballot }) => ballot && ballot.receipt === receipt);
+  return i >= 0 && !replacedBallots(el).has(i) ? i : -1;
+}
+
+// The ballots that count: each voter's latest one
+function currentBallots(el) {
+  const replaced = replacedBallots(el);
+  return el.log
+    .filter((entry, i) => !replaced.has(i))
+    .map(({ ballot }) => ({ choices: (ballot && Array.isArray(ballot.choices) && ballot.choices) || [] }));
+}
+
+// { optionId: count }
+function tallyVotes(el) {
+  const votes = {};
+  const ids = el.options.map((opt) => opt.id);
+  ids.forEach((id) => (votes[id] = 0));
+  currentBallots(el).forEach((ballot) => {
+    const valid = ballot.choices.filter((id) => ids.includes(id));
+    const counted = el.settings.ballotType === "approval" ? valid : valid.slice(0, 1);
+    counted.forEach((opt) => (votes[opt] += 1));
+  });
+  return votes;
+}
+
+// face-api descriptors are 128 numbers; anything else can't be compared
+function assertFaceDescriptor(descriptor) {
+  assert(Array.isArray(descriptor) && descriptor.length === 128 && descriptor.every(Number.isFinite), 400, "Invalid face scan.");
+}
+
+function faceTaken(descriptor, except) {
+  return Object.entries(db.faceDescriptors).some(
+    ([username, stored]) => username !== except && faceDistance(stored, descriptor) < FACE_MATCH_THRESHOLD
+  );
+}
+
+function findUser(username) {
+  const user = db.users[username];
+  assert(user, 404, "Voter not found.");
+  return user;
+}
+
+function faceDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  return Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0));
+}
+
+// ---------- Audit log ----------
+// Same entries and chaining as audit() in script.js; callers save()
+const ANONYMOUS = { role: "anonymous", actor: null };
+// Events only the browser sees, which signed-in clients may report
+const REPORTABLE = { user: ["face.mismatch", "face.lockout"], admin: ["settings.updated"] };
+
+function auditHash({ seq, at, role, actor, action, detail, prev }) {
+  return sha256Hex(JSON.stringify([seq, at, role, actor, action, detail, prev]));
+}
+
+function actorOf(session) {
+  return { role: session.role === "user" ? "voter" : "admin", actor: session.username };
+}
+
+function audit(action, detail, { role, actor }, clear = false) {
+  const last = db.audit[db.audit.length - 1];
+  const prev = last ? last.hash : GENESIS_HASH;
+  if (clear) detail = { ...detail, entries: db.audit.length, head: prev };
+  const entry = { seq: last ? last.seq + 1 : 0, at: Date.now(), role, actor, action, detail, prev };
+  entry.hash = auditHash(entry);
+  if (clear) db.audit = [];
+  db.audit.push(entry);
+}
+
+// Client reports are kept small and flat
+function pickDetail(detail) {
+  const out = {};
+  if (!detail || typeof detail !== "object") return out;
+  Object.entries(detail).slice(0, 10).forEach(([key, value]) => {
+    const list = Array.isArray(value) ? value.slice(0, 20).map((v) => String(v).slice(0, 200)) : null;
+    out[String(key).slice(0, 40)] = list || (typeof value === "number" ? value : String(value).slice(0, 200));
+  });
+  return out;
+}
+
+// Mirrors electionChanges() in script.js
+function electionChanges(before, after) {
+  const show = (key, value) => {
+    if (value == null) return "—";
+    if (key === "eligible") return `${value.length} on the roll`;
+    if (key.endsWith("At") && typeof value === "number") return new Date(value).toISOString();
+    return String(value);
+  };
+  const changes = [];
+  const compare = (key, a, b) => {
+    if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null)) changes.push(`${key}: ${show(key, a)} → ${show(key, b)}`);
+  };
+  ["title", "description", "archived", "eligible"].forEach((key) => compare(key, before[key], after[key]));
+  Object.keys(after.settings).forEach((key) => compare(key, (before.settings || {})[key], after.settings[key]));
+  return changes;
+}
+
+// ---------- Import ----------
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/*
+ * Checks an imported election the way validateElectionRecord() in script.js
+ * does and returns the record to store. Its ballot log is rebuilt entry by
+ * entry and has to hash to what the file says, so the server never keeps a
+ * chain "Verify ballot log" would reject, whatever the client sends.
+ */
+function importedElection(id, input) {
+  const label = `Election "${isPlainObject(input) && typeof input.title === "string" ? input.title : id}"`;
+  const check = (condition, problem) => assert(condition, 400, `${label}: ${problem}`);
+  check(isPlainObject(input), "not an election object.");
+  check(/^[\w-]+$/.test(id) && input.id === id, `its id doesn't match its key "${id}".`);
+  check(typeof input.title === "string" && input.title.trim(), "missing title.");
+  const validOption = (o) => (typeof o === "string" && o.trim()) ||
+    (isPlainObject(o) && typeof o.id === "string" && o.id && typeof o.title === "string" && o.title.trim());
+  check(Array.isArray(input.options) && input.options.every(validOption), '"options" must be a list of options with an id and a title.');
+  const options = input.options.map(toOption);
+  check(new Set(options.map((opt) => opt.id)).size === options.length, "options contain duplicates.");
+  check(input.settings === undefined || isPlainObject(input.settings), '"settings" must be an object.');
+  const settings = pickSettings(input.settings);
+  check(BALLOT_TYPES.includes(settings.ballotType), `unknown ballot type "${settings.ballotType}".`);
+  const voters = input.voters === undefined ? [] : input.voters;
+  check(Array.isArray(voters) && voters.every((v) => typeof v === "string"), '"voters" must be a list of usernames.');
+  check(new Set(voters).size === voters.length, '"voters" lists someone twice.');
+  const activity = input.activity === undefined ? {} : input.activity;
+  check(isPlainObject(activity) && Object.values(activity).every((n) => Number.isInteger(n) && n >= 0), '"activity" must map times to counts.');
+  const receiptProofs = input.receiptProofs === undefined ? {} : input.receiptProofs;
+  check(isPlainObject(receiptProofs) && Object.entries(receiptProofs).every(([voter, proof]) => voters.includes(voter) && /^[0-9a-f]{64}$/.test(proof)),
+    '"receiptProofs" must map voters to receipt proofs.');
+  const eligible = input.eligible == null ? null : input.eligible;
+  check(eligible === null || (Array.isArray(eligible) && eligible.every((v) => typeof v === "string")), '"eligible" must be a list of roll ids.');
+  check(input.log === undefined || Array.isArray(input.log), '"log" must be a list.');
+
+  const el = {
+    id,
+    title: input.title.trim(),
+    description: typeof input.description === "string" ? input.description : "",
+    options,
+    log: [],
+    voters: voters.slice().sort(),
+    activity,
+    receiptProofs,
+    eligible,
+    settings,
+    archived: !!input.archived,
+    createdAt: Number.isFinite(input.createdAt) ? input.createdAt : Date.now(),
+  };
+  const replaced = new Set();
+  (input.log || []).forEach((entry, i) => {
+    const ballot = isPlainObject(entry) && entry.ballot;
+    const { choices, receipt = null, replaces = null } = isPlainObject(ballot) ? ballot : {};
+    check(Array.isArray(choices) && choices.every((c) => typeof c === "string"), `ballot log entry #${i + 1} is malformed.`);
+    check(receipt === null || /^[0-9a-f]{64}$/.test(receipt), `ballot log entry #${i + 1} has a malformed receipt.`);
+    check(replaces === null || (Number.isInteger(replaces) && replaces >= 0 && replaces < i && !replaced.has(replaces)),
+      `ballot log entry #${i + 1} replaces a ballot that isn't an earlier current one.`);
+    const stored = { seq: i, prev: i ? el.log[i - 1].hash : GENESIS_HASH, ballot: { choices, receipt } };
+    if (replaces !== null) {
+      stored.ballot.replaces = replaces;
+      replaced.add(replaces);
+    }
+    stored.hash = entryHash(el, stored);
+    check(entry.seq === i && entry.prev === stored.prev && entry.hash === stored.hash, `ballot log fails verification at entry #${i + 1}.`);
+    el.log.push(stored);
+  });
+  return el;
+}
+
+// Hashed accounts keep their record; plain-text passwords from older exports
+// are hashed here, since sign-in only checks hashed records
+async function importedUser(name, record) {
+  assert(/^[A-Za-z0-9_]+$/.test(name), 400, `User "${name}": invalid username.`);
+  if (typeof record === "string") return { password: await hashPassword(record), createdAt: Date.now(), rollId: null };
+  const password = isPlainObject(record) ? record.password : null;
+  const valid = isPlainObject(password) && typeof password.salt === "string" && typeof password.hash === "string" &&
+    (password.iterations === undefined || Number.isInteger(password.iterations));
+  assert(valid, 400, `User "${name}": password record is missing or malformed.`);
+  const { algo = "PBKDF2-SHA256", iterations = PBKDF2_ITERATIONS, salt, hash } = password;
+  const user = { password: { algo, iterations, salt, hash }, createdAt: Number(record.createdAt) || Date.now(), rollId: record.rollId || null };
+  ["disabled", "mustChangePassword", "mustEnrollFace"].forEach((flag) => record[flag] && (user[flag] = true));
+  return user;
+}
+
+// After an import replaces the voters, drops what is kept for accounts it
+// removed, the same way deleteUser does; callers save()
+function forgetRemovedUsers() {
+  const gone = (name) => !db.users[name];
+  [db.faceDescriptors, db.passkeys].forEach((map) => Object.keys(map).filter(gone).forEach((name) => delete map[name]));
+  Object.values(db.roll).forEach((entry) => {
+    if (entry.usedBy && gone(entry.usedBy)) Object.assign(entry, { codeHash: null, invitedAt: null, usedBy: null, usedAt: null });
+  });
+  const kept = new Set(Object.keys(db.users).map((name) => accountKey("user", name)));
+  Object.keys(db.loginAttempts).forEach((key) => key.startsWith("user:") && !kept.has(key) && delete db.loginAttempts[key]);
+}
+
+// ---------- Live updates ----------
+// Open Server-Sent Events streams (response -> session or null). A change only
+// sends the ids of the elections a stream may see; browsers then refetch them
+// through /api/elections, which filters what each session gets
+const listeners = new Map();
+
+// EventSource can't send headers, so the session token comes in the query
+function subscribe(req, res, session) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 3000\n\n");
+  listeners.set(res, session);
+  req.on("close", () => listeners.delete(res));
+}
+
+// `elections` is { id: election } of what changed
+function publish(elections) {
+  listeners.forEach((session, res) => {
+    const ids = Object.values(elections).filter((el) => visibleTo(session, el)).map((el) => el.id);
+    if (ids.length) res.write(`event: elections\ndata: ${JSON.stringify(ids)}\n\n`);
+  });
+}
+
+// Comments keep idle connections from being cut by proxies; the timer also
+// closes voting windows on time even when nobody is making requests
+setInterval(() => {
+  listeners.forEach((session, res) => res.write(": ping\n\n"));
+  applySchedules();
+}, 25000).unref();
+
+// ---------- Routes ----------
+// Each handler gets { body, params, session } and returns the JSON response
+const handlers = {
+  health: () => ({ ok: true }),
+
+  async register({ body }) {
+    const { username, password, faceDescriptor, inviteCode } = body;
+    validateUsername(username);
+    assert(typeof password === "string" && password.length >= 6, 400, "Password must be at least 6 characters.");
+    assert(!db.users[username], 409, "Username already exists.");
+    // Once there is a voter roll, only invited people can register
+    let rollId = null;
+    if (Object.keys(db.roll).length) {
+      const hash = sha256Hex(String(inviteCode || "").toUpperCase().replace(/[^A-Z0-9]/g, ""));
+      rollId = Object.keys(db.roll).find((id) => db.roll[id].codeHash === hash) || null;
+      assert(rollId, 403, "Invalid invite code.");
+      assert(!db.roll[rollId].usedBy, 403, "This invite code has already been used.");
+    }
+    if (faceDescriptor) {
+      assertFaceDescriptor(faceDescriptor);
+      assert(!faceTaken(faceDescriptor), 409, "This face is already registered with another account.");
+    }
+    // Re-checked after hashing, which yields to other requests
+    assert(!db.users[username], 409, "Username already exists.");
+    assert(!rollId || !db.roll[rollId].usedBy, 403, "This invite code has already been used.");
+    db.users[username] = { password: await hashPassword(password), createdAt: Date.now(), rollId };
+    if (rollId) Object.assign(db.roll[rollId], { usedBy: username, usedAt: Date.now() });
+    if (faceDescriptor) db.faceDescriptors[username] = faceDescriptor.map(Number);
+    save();
+    return { token: startSession(username, "user"), username };
+  },
+
+  async login({ body, req }) {
+    const { username, password } = body;
+    checkLoginBlock("user", username, req);
+    const record = db.users[username];
+    const valid = !!record && (await verifyPassword(password, record.password));
+    if (!valid || record.disabled) {
+      const reason = valid ? "This account has been disabled." : "Invalid username or password.";
+      audit("voter.login_failed", { username: String(username).slice(0, 40), method: "password", reason }, ANONYMOUS);
+      recordLoginFailure("user", username, req);
+      save();
+    }
+    assert(valid, 401, "Invalid username or password.");
+    assert(!record.disabled, 403, "This account has been disabled.");
+    db.authStats.password = (db.authStats.password || 0) + 1;
+    clearLoginFailures("user", username);
+    save();
+    return signedIn(username);
+  },
+
+  // A voter can keep several passkeys; they all share one user handle
+  passkeyRegisterOptions({ session }) {
+    findUser(session.username);
+    const passkeys = db.passkeys[session.username] || [];
+    const userHandle = passkeys.length ? passkeys[0].userHandle : crypto.randomBytes(16).toString("base64url");
+    return {
+      challenge: issueChallenge("webauthn.create", { username: session.username, userHandle }),
+      userHandle,
+      algs: PASSKEY_ALGS,
+      excludeCredentials: passkeys.map((p) => p.id),
+    };
+  },
+
+  async passkeyRegister({ body, session, req }) {
+    const pending = takeChallenge(body.clientDataJSON, "webauthn.create");
+    assert(pending.username === session.username, 400, "This passkey request has expired. Please try again.");
+    const expected = passkeyExpectation(req, pending.challenge);
+    let credential;
+    try {
+      credential = await verifyRegistration(passkeyResponse(body, ["clientDataJSON", "attestationObject"]), expected);
+    } catch (err) {
+      throw err instanceof HttpError ? err : new HttpError(400, err.message);
+    }
+    assert(!findPasskey(credential.id), 409, "This passkey is already registered.");
+    if (!db.passkeys[session.username]) db.passkeys[session.username] = [];
+    db.passkeys[session.username].push({ ...credential, userHandle: pending.userHandle, createdAt: Date.now(), lastUsedAt: null });
+    audit("voter.passkey_added", {}, actorOf(session));
+    save();
+    return { passkeys: db.passkeys[session.username].length };
+  },
+
+  // Without a username the browser offers whatever passkeys it holds for this site
+  passkeyLoginOptions({ body }) {
+    const username = typeof body.username === "string" ? body.username : "";
+    return {
+      challenge: issueChallenge("webauthn.get", { username }),
+      allowCredentials: username ? (db.passkeys[username] || []).map((p) => p.id) : [],
+    };
+  },
+
+  async passkeyLogin({ body, req }) {
+    const pending = takeChallenge(body.clientDataJSON, "webauthn.get");
+    const found = findPasskey(String(body.id || ""));
+    const username = found ? found.username : pending.username;
+    try {
+      assert(found && db.users[found.username], 401, "This passkey isn't registered.");
+      assert(!pending.username || pending.username === found.username, 401, "This passkey belongs to another account.");
+      assert(!body.userHandle || body.userHandle === found.passkey.userHandle, 401, "This passkey belongs to another account.");
+      assert(!db.users[found.username].disabled, 403, "This account has been disabled.");
+      const expected = passkeyExpectation(req, pending.challenge);
+      let result;
+      try {
+        result = await verifyAssertion(passkeyResponse(body, ["clientDataJSON", "authenticatorData", "signature"]), expected, found.passkey);
+      } catch (err) {
+        throw err instanceof HttpError ? err : new HttpError(401, err.message);
+      }
+      Object.assign(found.passkey, { signCount: result.signCount, lastUsedAt: Date.now() });
+    } catch (err) {
+      audit("voter.login_failed", { username: String(username || "").slice(0, 40) || null, method: "biometrics", reason: err.message }, ANONYMOUS);
+      save();
+      throw err;
+    }
+    db.authStats.biometrics = (db.authStats.biometrics || 0) + 1;
+    save();
+    return signedIn(found.username);
+  },
+
+  // Only after an admin reset: the temporary password has to be replaced
+  async changePassword({ body, session }) {
+    const record = findUser(session.username);
+    assert(record.mustChangePassword, 403, "Your password can't be changed here.");
+    assert(typeof body.password === "string" && body.password.length >= 6, 400, "Password must be at least 6 characters.");
+    record.password = await hashPassword(body.password);
+    delete record.mustChangePassword;
+    audit("voter.password_changed", {}, actorOf(session));
+    save();
+    return { ok: true };
+  },
+
+  // Only after an admin cleared the enrollment: stops a session from swapping in another face
+  enrollFace({ body, session }) {
+    const record = findUser(session.username);
+    assert(record.mustEnrollFace, 403, "Your face is already enrolled.");
+    assertFaceDescriptor(body.faceDescriptor);
+    assert(!faceTaken(body.faceDescriptor, session.username), 409, "This face is already registered with another account.");
+    db.faceDescriptors[session.username] = body.faceDescriptor.map(Number);
+    delete record.mustEnrollFace;
+    audit("voter.face_enrolled", {}, actorOf(session));
+    save();
+    return { ok: true };
+  },
+
+  logout({ session }) {
+    if (!session) return { ok: true };
+    revokeSession(session);
+    if (session.role === "admin") audit("admin.logout", {}, actorOf(session));
+    save();
+    return { ok: true };
+  },
+
+  logoutEverywhere({ session }) {
+    assert(session, 401, "Please sign in again.");
+    endSessions(session.username, session.role);
+    audit(session.role === "admin" ? "admin.logout_all" : "voter.logout_all", {}, actorOf(session));
+    save();
+    return { ok: true };
+  },
+
+  // Lets the browser check its token at startup and keeps an active session from idling out
+  session({ session }) {
+    assert(session, 401, "Please sign in again.");
+    return { username: session.username, role: session.role, expiresAt: session.expires, authAt: session.authAt };
+  },
+
+  // Proves the account holder is still there: the new token carries a fresh authAt.
+  // A wrong password is a 403, not a 401, so the client keeps its session
+  async reauth({ body, session, req }) {
+    assert(session, 401, "Please sign in again.");
+    checkLoginBlock(session.role, session.username, req);
+    const record = accountRecord(session.role, session.username);
+    if (!(await verifyPassword(body.password, record.password))) {
+      const actor = actorOf(session);
+      audit(`${actor.role}.reauth_failed`, { method: "password" }, actor);
+      recordLoginFailure(session.role, session.username, req);
+      save();
+      throw new HttpError(403, "Incorrect password.");
+    }
+    revokeSession(session);
+    save();
+    return { token: startSession(session.username, session.role) };
+  },
+
+  elections({ session }) {
+    applySchedules();
+    return { elections: visibleElections(session) };
+  },
+
+  saveElection({ body, params, session }) {
+    const existing = db.elections[params[0]];
+    validateSettings(body.settings);
+    const settings = pickSettings(body.settings, existing ? existing.settings : defaultSettings);
+    assert(!(settings.opensAt && settings.closesAt && settings.closesAt <= settings.opensAt), 400, "Closing time must be after opening time.");
+    const before = existing && JSON.parse(JSON.stringify({ ...existing, log: undefined }));
+    const el = existing || createElection({ id: params[0], options: body.options, createdAt: body.createdAt });
+    if (body.title !== undefined) el.title = String(body.title).trim() || el.title;
+    if (body.description !== undefined) el.description = String(body.description);
+    if (body.archived !== undefined) el.archived = !!body.archived;
+    if (body.eligible !== undefined) {
+      el.eligible = Array.isArray(body.eligible) ? body.eligible.map(String) : null;
+    }
+    el.settings = settings;
+    const changes = before ? electionChanges(before, el) : [];
+    if (!before) audit("election.created", { election: el.title }, actorOf(session));
+    else if (changes.length) audit("election.updated", { election: el.title, changes }, actorOf(session));
+    save();
+    publish({ [el.id]: el });
+    return { election: el };
+  },
+
+  castBallot({ body, params, session }) {
+    const voter = findUser(session.username);
+    assert(!voter.disabled, 403, "This account has been disabled.");
+    assert(!voter.mustChangePassword, 403, "Choose a new password before voting.");
+    const el = findElection(params[0]);
+    assert(visibleTo(session, el), 403, "You're not on the voter roll for this election.");
+    const reauthMinutes = Number(el.settings.reauthMinutes) || 0;
+    const fresh = !reauthMinutes || Date.now() - session.authAt <= reauthMinutes * 60 * 1000;
+    assert(fresh, 403, "Please confirm it's you before voting.", "reauth");
+    const status = votingStatus(el);
+    assert(status.open, 409, status.message);
+    const voted = el.voters.includes(session.username);
+    assert(!voted || el.settings.allowVoteChange, 409, "You have already voted!");
+    validateChoices(el, body.choices);
+    // A changed vote names the ballot it replaces by its receipt, and the
+    // receipt has to be the one this voter's proof was made with
+    const proofs = el.receiptProofs || {};
+    let previous = -1;
+    if (voted) {
+      assert(typeof body.replaces === "string" && body.replaces.trim(), 400, "Enter the receipt of the ballot you're replacing.");
+      assert(proofs[session.username], 409, "Your ballot was cast before changes were allowed, so it can't be replaced.");
+      const given = Buffer.from(receiptProof(el, session.username, body.replaces));
+      const expected = Buffer.from(proofs[session.username]);
+      const yours = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+      previous = yours ? countedBallotIndex(el, body.replaces) : -1;
+      assert(previous >= 0, 409, "That receipt doesn't match your ballot in this election.");
+    }
+    const code = generateReceiptCode();
+    const receipt = receiptHash(code);
+    appendBallot(el, { choices: body.choices.slice(), receipt, ...(voted ? { replaces: previous } : {}) });
+    // Only recorded while the election allows changes; nothing else reads it
+    if (el.settings.allowVoteChange) el.receiptProofs = { ...proofs, [session.username]: receiptProof(el, session.username, code) };
+    if (!voted) el.voters = [...el.voters, session.username].sort();
+    recordBallotTime(el);
+    save();
+    publish({ [el.id]: el });
+    return { receipt: code, election: electionView(el, session) };
+  },
+
+  addOption({ body, params, session }) {
+    const el = findElection(params[0]);
+    const option = { id: "opt_" + crypto.randomBytes(6).toString("hex"), ...pickOption(el, body) };
+    el.options.push(option);
+    audit("option.added", { election: el.title, option: option.title }, actorOf(session));
+    save();
+    publish({ [el.id]: el });
+    return { election: el };
+  },
+
+  // Ballots hold option ids, so an edit keeps every vote cast for the option
+  editOption({ body, params, session }) {
+    const el = findElection(params[0]);
+    const option = findOption(el, params[1]);
+    const fields = pickOption(el, body, option.id);
+    const changes = Object.keys(fields)
+      .filter((key) => option[key] !== fields[key])
+      .map((key) => `${key}: ${option[key] || "—"} → ${fields[key] || "—"}`);
+    if (changes.length) audit("option.edited", { election: el.title, option: option.title, changes }, actorOf(session));
+    Object.assign(option, fields);
+    save();
+    publish({ [el.id]: el });
+    return { election: el };
+  },
+
+  // `order` lists every option id once
+  reorderOptions({ body, params, session }) {
+    const el = findElection(params[0]);
+    const order = Array.isArray(body.order) ? body.order : [];
+    const same = order.length === el.options.length && new Set(order).size === order.length;
+    assert(same && order.every((id) => el.options.some((opt) => opt.id === id)), 400, "The new order must list every option once.");
+    el.options = order.map((id) => findOption(el, id));
+    audit("option.reordered", { election: el.title, order: el.options.map((opt) => opt.title) }, actorOf(session));
+    save();
+    publish({ [el.id]: el });
+    return { election: el };
+  },
+
+  // The log is append-only; ballots for a removed option simply stop counting
+  removeOption({ params, session }) {
+    const el = findElection(params[0]);
+    const option = findOption(el, params[1]);
+    el.options = el.options.filter((opt) => opt !== option);
+    audit("option.removed", { election: el.title, option: option.title }, actorOf(session));
+    save();
+    publish({ [el.id]: el });
+    return { election: el };
+  },
+
+  // Ranked elections also list the counted rankings, sorted so their order
+  // says nothing about when each was cast, for the browser's runoff
+  results({ params, session }) {
+    const el = findElection(params[0]);
+    const isAdmin = session && session.role === "admin";
+    assert(visibleTo(session, el), 404, "Election not found.");
+    assert(isAdmin || el.settings.showResultsToUsers, 403, "Results are hidden for this election.");
+    const counted = currentBallots(el);
+    const results = { total: counted.length, tally: tallyVotes(el) };
+    if (el.settings.ballotType === "ranked") results.rankings = counted.map((ballot) => ballot.choices).sort();
+    return results;
+  },
+
+  // Only whether the ballot counts; its choices would let a voter prove their vote
+  receipt({ body }) {
+    const receipt = receiptHash(body.code);
+    for (const el of Object.values(db.elections)) {
+      const i = el.log.findIndex(({ ballot }) => ballot && ballot.receipt === receipt);
+      if (i >= 0) return { election: { id: el.id, title: el.title }, replaced: replacedBallots(el).has(i) };
+    }
+    return { election: null, replaced: false };
+  },
+
+  resetElection({ params, session }) {
+    const el = findElection(params[0]);
+    audit("votes.reset", { election: el.title, ballots: el.log.length }, actorOf(session));
+    el.log = [];
+    el.voters = [];
+    el.activity = {};
+    el.receiptProofs = {};
+    save();
+    publish({ [el.id]: el });
+    return { election: el };
+  },
+
+  // The browser previews the import and seals legacy ballots before sending;
+  // everything is checked again here before anything changes. Merging keeps
+  // the server's own election or account whenever the file has the same id
+  async importData({ body, session }) {
+    assert(isPlainObject(body.elections), 400, "No elections to import.");
+    assert(body.users === undefined || isPlainObject(body.users), 400, '"users" must map usernames to accounts.');
+    const merge = body.mode === "merge";
+    const elections = {};
+    Object.entries(body.elections).forEach(([id, el]) => (elections[id] = importedElection(id, el)));
+    const users = {};
+    for (const [name, record] of Object.entries(body.users || {})) users[name] = await importedUser(name, record);
+    audit("data.imported", {
+      mode: merge ? "merge" : "replace",
+      users: Object.keys(users).length,
+      elections: Object.keys(elections).length,
+    }, actorOf(session));
+    if (merge) {
+      Object.values(elections).forEach((el) => db.elections[el.id] || (db.elections[el.id] = el));
+      Object.entries(users).forEach(([name, record]) => db.users[name] || (db.users[name] = record));
+    } else {
+      db.elections = elections;
+      if (Object.keys(users).length) {
+        db.users = users;
+        forgetRemovedUsers();
+      }
+    }
+    save();
+    publish(db.elections);
+    return { elections: db.elections };
+  },
+
+  roll: () => ({ roll: db.roll }),
+
+  // Admins edit the roll in the browser; who used which code stays as recorded here
+  saveRoll({ body, session }) {
+    assert(body.roll && typeof body.roll === "object", 400, "No voter roll given.");
+    const roll = {};
+    Object.entries(body.roll).forEach(([id, entry]) => {
+      assert(entry && typeof entry === "object", 400, `Roll entry "${id}" is malformed.`);
+      const current = db.roll[id] || {};
+      roll[id] = {
+        addedAt: entry.addedAt || current.addedAt || Date.now(),
+        codeHash: current.usedBy ? current.codeHash : entry.codeHash || null,
+        invitedAt: current.usedBy ? current.invitedAt : entry.invitedAt || null,
+        usedBy: current.usedBy || null,
+        usedAt: current.usedAt || null,
+      };
+    });
+    const ids = Object.keys(roll);
+    const detail = {
+      added: ids.filter((id) => !db.roll[id]).length,
+      removed: Object.keys(db.roll).filter((id) => !roll[id]).length,
+      invited: ids.filter((id) => roll[id].codeHash && (!db.roll[id] || db.roll[id].codeHash !== roll[id].codeHash)).length,
+    };
+    Object.keys(detail).forEach((key) => detail[key] || delete detail[key]);
+    audit("roll.updated", detail, actorOf(session));
+    db.roll = roll;
+    save();
+    return { roll };
+  },
+
+  // Account status for the admin's voter table; never passwords or face data
+  users() {
+    const users = {};
+    Object.entries(db.users).forEach(([name, u]) => {
+      users[name] = {
+        createdAt: u.createdAt,
+        rollId: u.rollId || null,
+        disabled: !!u.disabled,
+        mustChangePassword: !!u.mustChangePassword,
+        mustEnrollFace: !!u.mustEnrollFace,
+        faceEnrolled: !!db.faceDescriptors[name],
+        passkeys: (db.passkeys[name] || []).length,
+        locked: isLockedOut(accountKey("user", name)),
+      };
+    });
+    return { users };
+  },
+
+  setUserDisabled({ params, body, session }) {
+    const user = findUser(params[0]);
+    if (body.disabled) user.disabled = true;
+    else delete user.disabled;
+    if (user.disabled) endSessions(params[0], "user");
+    audit(user.disabled ? "voter.disabled" : "voter.enabled", { username: params[0] }, actorOf(session));
+    save();
+    return handlers.users();
+  },
+
+  // The temporary password is only ever in this response
+  async resetUserPassword({ params, session }) {
+    const user = findUser(params[0]);
+    const password = generateCode("PW");
+    user.password = await hashPassword(password);
+    user.mustChangePassword = true;
+    endSessions(params[0], "user");
+    clearLoginFailures("user", params[0]);
+    audit("voter.password_reset", { username: params[0] }, actorOf(session));
+    save();
+    return { ...handlers.users(), password };
+  },
+
+  resetUserFace({ params, session }) {
+    const user = findUser(params[0]);
+    delete db.faceDescriptors[params[0]];
+    user.mustEnrollFace = true;
+    audit("voter.face_reset", { username: params[0] }, actorOf(session));
+    save();
+    return handlers.users();
+  },
+
+  // Ballots are anonymous and stay counted; the name stays in each election's
+  // voter list so a new account with the same name can't vote twice
+  deleteUser({ params, session }) {
+    const user = findUser(params[0]);
+    audit("voter.deleted", { username: params[0] }, actorOf(session));
+    if (user.rollId && db.roll[user.rollId]) {
+      Object.assign(db.roll[user.rollId], { codeHash: null, invitedAt: null, usedBy: null, usedAt: null });
+    }
+    delete db.users[params[0]];
+    delete db.faceDescriptors[params[0]];
+    delete db.passkeys[params[0]];
+    clearLoginFailures("user", params[0]);
+    endSessions(params[0], "user");
+    save();
+    return handlers.users();
+  },
+
+  // Locked accounts and addresses, keyed like db.loginAttempts
+  lockouts() {
+    const lockouts = {};
+    Object.entries(db.loginAttempts).forEach(([key, rec]) => isLockedOut(key) && (lockouts[key] = rec));
+    return { lockouts };
+  },
+
+  unlockLogin({ params, session }) {
+    assert(db.loginAttempts[params[0]], 404, "That sign-in isn't locked.");
+    delete db.loginAttempts[params[0]];
+    audit("login.unlocked", { account: params[0] }, actorOf(session));
+    save();
+    return { ...handlers.lockouts(), ...handlers.users() };
+  },
+
+  audit: () => ({ audit: db.audit }),
+
+  reportAudit({ body, session }) {
+    assert(session, 401, "Please sign in again.");
+    assert((REPORTABLE[session.role] || []).includes(body.action), 400, "That event can't be reported.");
+    audit(body.action, pickDetail(body.detail), actorOf(session));
+    save();
+    return { ok: true };
+  },
+
+  // Clearing leaves one entry saying who cleared how much, linked to the old head
+  clearAudit({ session }) {
+    audit("audit.cleared", {}, actorOf(session), true);
+    save();
+    return { audit: db.audit };
+  },
+
+  stats: () => ({ registered: Object.keys(db.users).length, authStats: db.authStats }),
+
+  adminStatus: () => ({ hasAdmins: Object.keys(db.admins).length > 0 }),
+
+  async adminSetup({ body }) {
+    assert(!Object.keys(db.admins).length, 409, "An admin account already exists.");
+    return handlers.addAdmin({ body, first: true });
+  },
+
+  async adminLogin({ body, req }) {
+    const { username, password } = body;
+    checkLoginBlock("admin", username, req);
+    const record = db.admins[username];
+    const valid = !!record && (await verifyPassword(password, record.password));
+    if (valid) {
+      audit("admin.login", {}, { role: "admin", actor: username });
+      clearLoginFailures("admin", username);
+    } else {
+      audit("admin.login_failed", { username: String(username).slice(0, 40) }, ANONYMOUS);
+      recordLoginFailure("admin", username, req);
+    }
+    save();
+    assert(valid, 401, "Invalid admin credentials.");
+    return { token: startSession(username, "admin"), username };
+  },
+
+  admins() {
+    const admins = {};
+    Object.entries(db.admins).forEach(([name, { createdAt }]) => (admins[name] = { createdAt }));
+    return { admins };
+  },
+
+  async addAdmin({ body, session, first }) {
+    const { username, password } = body;
+    validateUsername(username);
+    assert(typeof password === "string" && password.length >= 8, 400, "Admin passwords must be at least 8 characters.");
+    assert(!db.admins[username], 409, "That admin already exists.");
+    db.admins[username] = { password: await hashPassword(password), createdAt: Date.now() };
+    if (first) audit("admin.setup", {}, { role: "admin", actor: username });
+    else audit("admin.added", { username }, actorOf(session));
+    save();
+    return first ? { token: startSession(username, "admin"), username } : handlers.admins();
+  },
+
+  removeAdmin({ params, session }) {
+    assert(params[0] !== session.username, 400, "You can't remove your own account.");
+    assert(db.admins[params[0]], 404, "Admin not found.");
+    assert(Object.keys(db.admins).length > 1, 400, "At least one admin must remain.");
+    delete db.admins[params[0]];
+    audit("admin.removed", { username: params[0] }, actorOf(session));
+    save();
+    return handlers.admins();
+  },
+
+  async changeAdminPassword({ body, session }) {
+    const record = db.admins[session.username];
+    assert(record && (await verifyPassword(body.current, record.password)), 403, "Current password is incorrect.");
+    assert(typeof body.next === "string" && body.next.length >= 8, 400, "Admin passwords must be at least 8 characters.");
+    record.password = await hashPassword(body.next);
+    audit("admin.password_changed", {}, actorOf(session));
+    save();
+    return { ok: true };
+  },
+};
+
+const ID = "([\\w-]+)";
+// [method, path pattern, handler, role required ("user" | "admin" | undefined)]
+const routes = [
+  ["GET", "/api/health", "health"],
+  ["POST", "/api/register", "register"],
+  ["POST", "/api/login", "login"],
+  ["POST", "/api/logout", "logout"],
+  ["POST", "/api/logout/all", "logoutEverywhere"],
+  ["GET", "/api/session", "session"],
+  ["POST", "/api/session/reauth", "reauth"],
+  ["PUT", "/api/account/password", "changePassword", "user"],
+  ["PUT", "/api/account/face", "enrollFace", "user"],
+  ["POST", "/api/passkeys/register/options", "passkeyRegisterOptions", "user"],
+  ["POST", "/api/passkeys/register", "passkeyRegister", "user"],
+  ["POST", "/api/passkeys/login/options", "passkeyLoginOptions"],
+  ["POST", "/api/passkeys/login", "passkeyLogin"],
+  ["GET", "/api/elections", "elections"],
+  ["PUT", `/api/elections/${ID}`, "saveElection", "admin"],
+  ["POST", `/api/elections/${ID}/ballots`, "castBallot", "user"],
+  ["POST", `/api/elections/${ID}/options`, "addOption", "admin"],
+  ["PUT", `/api/elections/${ID}/options`, "reorderOptions", "admin"],
+  ["PUT", `/api/elections/${ID}/options/(.+)`, "editOption", "admin"],
+  ["DELETE", `/api/elections/${ID}/options/(.+)`, "removeOption", "admin"],
+  ["GET", `/api/elections/${ID}/results`, "results"],
+  ["POST", "/api/receipts", "receipt"],
+  ["POST", `/api/elections/${ID}/reset`, "resetElection", "admin"],
+  ["POST", "/api/import", "importData", "admin"],
+  ["GET", "/api/admin/status", "adminStatus"],
+  ["POST", "/api/admin/setup", "adminSetup"],
+  ["POST", "/api/admin/login", "adminLogin"],
+  ["GET", "/api/admins", "admins", "admin"],
+  ["GET", "/api/stats", "stats", "admin"],
+  ["GET", "/api/roll", "roll", "admin"],
+  ["PUT", "/api/roll", "saveRoll", "admin"],
+  ["GET", "/api/lockouts", "lockouts", "admin"],
+  ["DELETE", "/api/lockouts/(.+)", "unlockLogin", "admin"],
+  ["GET", "/api/audit", "audit", "admin"],
+  ["POST", "/api/audit", "reportAudit"],
+  ["POST", "/api/audit/clear", "clearAudit", "admin"],
+  ["GET", "/api/users", "users", "admin"],
+  ["POST", "/api/users/(\\w+)/disabled", "setUserDisabled", "admin"],
+  ["POST", "/api/users/(\\w+)/password", "resetUserPassword", "admin"],
+  ["POST", "/api/users/(\\w+)/face", "resetUserFace", "admin"],
+  ["DELETE", "/api/users/(\\w+)", "deleteUser", "admin"],
+  ["POST", "/api/admins", "addAdmin", "admin"],
+  ["PUT", "/api/admins/me/password", "changeAdminPassword", "admin"],
+  ["DELETE", "/api/admins/(\\w+)", "removeAdmin", "admin"],
+].map(([method, pattern, handler, role]) => ({ method, pattern: new RegExp(`^${pattern}$`), handler, role }));
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large."));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      if (!chunks.length) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Request body must be JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(data));
+}
+
+async function handleApi(req, res, pathname) {
+  const candidates = routes.filter((r) => r.pattern.test(pathname));
+  const route = candidates.find((r) => r.method === req.method);
+  if (!route) {
+    return sendJson(res, candidates.length ? 405 : 404, { error: candidates.length ? "Method not allowed." : "Not found." });
+  }
+  try {
+    const session = sessionFor(req);
+    if (route.role) {
+      assert(session, 401, "Please sign in again.");
+      assert(session.role === route.role, 403, "Not allowed.");
+    }
+    let params;
+    try {
+      params = route.pattern.exec(pathname).slice(1).map(decodeURIComponent);
+    } catch {
+      throw new HttpError(400, "Malformed URL.");
+    }
+    const body = req.method === "GET" ? {} : await readBody(req);
+    sendJson(res, 200, await handlers[route.handler]({ body, params, session, req }));
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error(err);
+    sendJson(res, err.status || 500, {
+      error: err instanceof HttpError ? err.message : "Internal server error.",
+      ...(err instanceof HttpError && err.code ? { code: err.code } : {}),
+    });
+  }
+}
+
+// ---------- Static files ----------
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+};
+
+function serveStatic(req, res, pathname) {
+  const file = path.resolve(ROOT, "." + (pathname === "/" ? "/index.html" : pathname));
+  const relative = path.relative(ROOT, file);
+  // Never hand out the server's own files (and with them the data file) or dotfiles
+  const hidden = relative.startsWith("..") || relative.split(path.sep).some((part) => part.startsWith(".")) ||
+    relative.split(path.sep)[0] === "server";
+  fs.readFile(file, (err, data) => {
+    if (hidden || err) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      return res.end("Not found");
+    }
+    if (relative === "index.html") {
+      // Tells script.js to use this server's API instead of localStorage
+      data = data.toString("utf8").replace("<head>", '<head>\n    <meta name="votex-api" content="" />');
+    }
+    res.writeHead(200, { "Content-Type": MIME_TYPES[path.extname(file)] || "application/octet-stream" });
+    res.end(data);
+  });
+}
+
+// ---------- Server ----------
+if (!Object.keys(db.elections).length) {
+  createElection({ title: "General Election" });
+  save();
+}
+
+const server = http.createServer((req, res) => {
+  // Browsers opened from another origin (e.g. file:// or a static host) may call the API too
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+  if (pathname === "/api/events" && req.method === "GET") {
+    return subscribe(req, res, sessionForToken(searchParams.get("token")));
+  }
+  if (pathname.startsWith("/api/")) return handleApi(req, res, pathname);
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    res.writeHead(400, { "Content-Type": "text/plain" });
+    return res.end("Bad request");
+  }
+  serveStatic(req, res, decoded);
+});
+
+server.listen(PORT, () => {
+  console.log(`VoteX server on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
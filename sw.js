@@ -0,0 +1,60 @@
+/**
+ * VoteX - Service Worker
+ * Keeps face-api models (bundled or from the CDN) and the face-api script in
+ * Cache Storage so face checks work offline. The bundled copies are fetched
+ * when the worker installs; anything else after its first download.
+ */
+
+const MODEL_CACHE = "votex-models-v1";
+
+const BUNDLED = [
+  "vendor/face-api.min.js",
+  ...["tiny_face_detector_model", "face_landmark_68_model", "face_recognition_model"].flatMap((model) => [
+    `models/${model}-weights_manifest.json`,
+    `models/${model}.bin`,
+  ]),
+];
+
+function isCacheable(url) {
+  return (
+    url.pathname.includes("/models/") ||
+    url.pathname.includes("/face-api/model/") ||
+    url.pathname.endsWith("/face-api.min.js")
+  );
+}
+
+// A copy deployed without some of the files still installs
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(MODEL_CACHE)
+      .then((cache) => Promise.all(BUNDLED.map((url) => cache.add(url).catch(() => {}))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop caches left by older versions of this worker
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== MODEL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache-first: model weights never change for a given URL
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !isCacheable(new URL(request.url))) return;
+
+  event.respondWith(
+    caches.open(MODEL_CACHE).then(async (cache) => {
+      const hit = await cache.match(request);
+      if (hit) return hit;
+      const res = await fetch(request);
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+  );
+});
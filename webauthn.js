@@ -0,0 +1,200 @@
+/**
+ * VoteX - Passkey (WebAuthn) verification
+ * Checks what an authenticator returns against what the relying party
+ * expects: the challenge it issued, the page origin and relying party, and
+ * the public key stored at registration. The browser loads this file when
+ * there is no server (as window.PasskeyChecks) and server/server.js requires
+ * it, so both run the same checks. Pure functions over Uint8Arrays (Node
+ * Buffers are fine) with Web Crypto and no stored state;
+ * server/check-passkeys.js drives them with a software authenticator.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("crypto").webcrypto);
+  else root.PasskeyChecks = factory(root.crypto);
+})(typeof self !== "undefined" ? self : this, function (webCrypto) {
+  "use strict";
+
+  // COSE algorithm ids offered at registration: ES256 and RS256
+  const PASSKEY_ALGS = [-7, -257];
+
+  const FLAG_USER_PRESENT = 0x01;
+  const FLAG_USER_VERIFIED = 0x04;
+  const FLAG_ATTESTED_DATA = 0x40;
+
+  function toBase64Url(bytes) {
+    let binary = "";
+    bytes.forEach((b) => (binary += String.fromCharCode(b)));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  async function sha256(bytes) {
+    return new Uint8Array(await webCrypto.subtle.digest("SHA-256", bytes));
+  }
+
+  /**
+   * Decodes the CBOR subset WebAuthn uses: integers, byte and text strings,
+   * arrays, maps and simple values. Returns the value and the offset after
+   * it, since a credential's public key is followed by more data.
+   */
+  function decodeCbor(bytes, offset = 0) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const take = (length) => {
+      if (offset + length > bytes.length) throw new Error("Truncated CBOR data.");
+      const start = offset;
+      offset += length;
+      return start;
+    };
+    const readLength = (info) => {
+      if (info < 24) return info;
+      if (info === 24) return view.getUint8(take(1));
+      if (info === 25) return view.getUint16(take(2));
+      if (info === 26) return view.getUint32(take(4));
+      if (info === 27) return Number(view.getBigUint64(take(8)));
+      throw new Error("Unsupported CBOR length.");
+    };
+    const item = () => {
+      const head = view.getUint8(take(1));
+      const major = head >> 5;
+      const info = head & 31;
+      if (major === 7) {
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        throw new Error("Unsupported CBOR value.");
+      }
+      const length = readLength(info);
+      if (major === 0) return length;
+      if (major === 1) return -1 - length;
+      if (major === 2) return Uint8Array.from(bytes.subarray(take(length), offset));
+      if (major === 3) return new TextDecoder().decode(bytes.subarray(take(length), offset));
+      if (major === 4) return Array.from({ length }, item);
+      if (major === 5) {
+        const map = new Map();
+        for (let i = 0; i < length; i++) map.set(item(), item());
+        return map;
+      }
+      throw new Error("Unsupported CBOR type.");
+    };
+    const value = item();
+    return { value, offset };
+  }
+
+  /** Splits authenticator data into its fields; see WebAuthn §6.1. */
+  function parseAuthData(data) {
+    if (!data || data.length < 37) throw new Error("Authenticator data is too short.");
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const flags = data[32];
+    const parsed = {
+      rpIdHash: data.subarray(0, 32),
+      userPresent: !!(flags & FLAG_USER_PRESENT),
+      userVerified: !!(flags & FLAG_USER_VERIFIED),
+      signCount: view.getUint32(33),
+    };
+    // Attested credential data: only present when a passkey is created
+    if (flags & FLAG_ATTESTED_DATA) {
+      if (data.length < 55) throw new Error("Authenticator data is too short.");
+      const idLength = view.getUint16(53);
+      parsed.credentialId = data.subarray(55, 55 + idLength);
+      parsed.publicKey = decodeCbor(data, 55 + idLength).value;
+    }
+    return parsed;
+  }
+
+  /** Turns a COSE public key into the JWK that Web Crypto imports. */
+  function coseToJwk(cose) {
+    const alg = cose instanceof Map ? cose.get(3) : null;
+    const b64 = (key) => toBase64Url(cose.get(key));
+    if (alg === -7 && cose.get(1) === 2 && cose.get(-1) === 1) {
+      return { alg, jwk: { kty: "EC", crv: "P-256", x: b64(-2), y: b64(-3) } };
+    }
+    if (alg === -257 && cose.get(1) === 3) return { alg, jwk: { kty: "RSA", n: b64(-1), e: b64(-2) } };
+    throw new Error("Unsupported passkey algorithm.");
+  }
+
+  function checkClientData(clientDataJSON, type, expected) {
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder().decode(clientDataJSON));
+    } catch {
+      throw new Error("Malformed client data.");
+    }
+    if (data.type !== type) throw new Error("Unexpected passkey operation.");
+    if (data.challenge !== expected.challenge) throw new Error("Passkey challenge does not match.");
+    if (data.origin !== expected.origin) throw new Error("Passkey was used on another site.");
+  }
+
+  async function checkAuthData(auth, expected) {
+    const rpIdHash = await sha256(new TextEncoder().encode(expected.rpId));
+    if (rpIdHash.some((b, i) => b !== auth.rpIdHash[i])) throw new Error("Passkey belongs to another site.");
+    if (!auth.userPresent) throw new Error("The authenticator did not confirm the user was present.");
+    if (!auth.userVerified) throw new Error("The authenticator did not verify the user.");
+  }
+
+  // WebAuthn ECDSA signatures are DER; Web Crypto wants r and s as two 32-byte halves
+  function derToRaw(der) {
+    const raw = new Uint8Array(64);
+    if (der[0] !== 0x30) throw new Error("Malformed passkey signature.");
+    let offset = 2;
+    [0, 32].forEach((at) => {
+      if (der[offset] !== 0x02) throw new Error("Malformed passkey signature.");
+      const length = der[offset + 1];
+      let int = der.subarray(offset + 2, offset + 2 + length);
+      offset += 2 + length;
+      while (int.length > 32 && int[0] === 0) int = int.subarray(1);
+      if (int.length > 32) throw new Error("Malformed passkey signature.");
+      raw.set(int, at + 32 - int.length);
+    });
+    return raw;
+  }
+
+  async function verifySignature(credential, data, signature) {
+    const { subtle } = webCrypto;
+    if (credential.alg === -7) {
+      const key = await subtle.importKey("jwk", credential.publicKey, { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]);
+      return subtle.verify({ name: "ECDSA", hash: "SHA-256" }, key, derToRaw(signature), data);
+    }
+    const key = await subtle.importKey("jwk", credential.publicKey, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+    return subtle.verify("RSASSA-PKCS1-v1_5", key, signature, data);
+  }
+
+  /**
+   * Checks a navigator.credentials.create() response. `expected` is
+   * { challenge (base64url), origin, rpId }. Only "none" attestation is
+   * requested, so the attestation statement isn't checked. Resolves to the
+   * credential to store: { id, publicKey (JWK), alg, signCount }.
+   */
+  async function verifyRegistration({ clientDataJSON, attestationObject }, expected) {
+    checkClientData(clientDataJSON, "webauthn.create", expected);
+    const attestation = decodeCbor(attestationObject).value;
+    if (!(attestation instanceof Map) || !attestation.get("authData")) throw new Error("Malformed attestation.");
+    const auth = parseAuthData(attestation.get("authData"));
+    await checkAuthData(auth, expected);
+    if (!auth.credentialId || !auth.credentialId.length) throw new Error("The authenticator returned no credential.");
+    const { alg, jwk } = coseToJwk(auth.publicKey);
+    return { id: toBase64Url(auth.credentialId), publicKey: jwk, alg, signCount: auth.signCount };
+  }
+
+  /**
+   * Checks a navigator.credentials.get() response against a stored
+   * credential. The sign counter has to move forward unless the
+   * authenticator doesn't keep one (both zero); a counter that stalls or goes
+   * back means the key has been copied. Resolves to { signCount } to store.
+   */
+  async function verifyAssertion({ clientDataJSON, authenticatorData, signature }, expected, credential) {
+    checkClientData(clientDataJSON, "webauthn.get", expected);
+    const auth = parseAuthData(authenticatorData);
+    await checkAuthData(auth, expected);
+    const clientHash = await sha256(clientDataJSON);
+    const signed = new Uint8Array(authenticatorData.length + clientHash.length);
+    signed.set(authenticatorData);
+    signed.set(clientHash, authenticatorData.length);
+    if (!(await verifySignature(credential, signed, signature))) throw new Error("Passkey signature is invalid.");
+    if ((auth.signCount || credential.signCount) && auth.signCount <= credential.signCount) {
+      throw new Error("Passkey sign counter went backwards; the authenticator may have been cloned.");
+    }
+    return { signCount: auth.signCount };
+  }
+
+  return { PASSKEY_ALGS, decodeCbor, parseAuthData, coseToJwk, verifyRegistration, verifyAssertion };
+});